@@ -290,10 +290,7 @@ export class DSForm {
         const headers = { ...(this.cfg.headers || {}) };
 
         // CSRF from meta or hidden input
-        const csrf =
-            document.querySelector('meta[name="csrf-token"]')?.getAttribute('content') ||
-            this.form.querySelector('input[name="_token"]')?.value ||
-            null;
+        const csrf = DSForm.getCsrfToken(this.form);
 
         if (csrf) headers['X-CSRF-TOKEN'] = csrf;
         if (!isFormData) headers['Content-Type'] = headers['Content-Type'] || 'application/json';
@@ -563,6 +560,17 @@ export class DSForm {
         });
     }
 
+    /**
+     * Laravel CSRF token from `<meta name="csrf-token">`, or the `_token` input of the given form.
+     * @param {HTMLElement|Document} [scope=document] - Where to look for the `_token` input
+     * @returns {string|null}
+     */
+    static getCsrfToken(scope = document) {
+        return document.querySelector('meta[name="csrf-token"]')?.getAttribute('content') ||
+            scope?.querySelector('input[name="_token"]')?.value ||
+            null;
+    }
+
     static _defaults = {
         translations: {
             loading: 'Loading...',
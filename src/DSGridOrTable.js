@@ -4,6 +4,8 @@ import DSTableSort from './DSTable/DSTableSort.js';
 import DSTableFilter from './DSTable/DSTableFilter.js';
 import DSTableExport from './DSTable/DSTableExport.js';
 import DSTableSelection from './DSTable/DSTableSelection.js';
+import DSTableQuery from './DSTable/DSTableQuery.js';
+import DSTableLoadMore from './DSTable/DSTableLoadMore.js';
 import DSGOTRenderer from './DSGridOrTable/DSGOTRenderer.js';
 import DSGOTViewToggle from './DSGridOrTable/DSGOTViewToggle.js';
 
@@ -13,6 +15,7 @@ import DSGOTViewToggle from './DSGridOrTable/DSGOTViewToggle.js';
  * @property {'grid'|'table'} [defaultView] - For 'gridable' mode: initial view
  * @property {boolean} [showToggle] - Show view toggle buttons
  * @property {boolean} [pagination] - Enable pagination
+ * @property {false|'button'|'scroll'} [load_more] - Append pages instead of replacing them
  * @property {boolean} [search] - Enable search
  * @property {boolean} [sort] - Enable sorting
  * @property {boolean} [filter] - Enable filtering
@@ -86,6 +89,8 @@ export class DSGridOrTable {
             goto: 'Go to',
             stats: 'Showing {from} to {to} of {total} entries'
         },
+        load_more: false, // false | 'button' | 'scroll'
+        load_more_translations: {},
         search: true,
         sort: true,
         filter: true,
@@ -159,6 +164,9 @@ export class DSGridOrTable {
         gridViewIcon: 'grid_view',
         tableViewIcon: 'view_list',
 
+        // Extra DSTableTemplate filters for html templates: { name: (value, ...args) => value }
+        template_filters: {},
+
         // Filter selectors (passed to DSTableFilter)
         filter_selectors: {}
     };
@@ -183,6 +191,7 @@ export class DSGridOrTable {
             per_page: 15,
             sort_by: null,
             sort_order: 'asc',
+            sorts: [],
             search: null,
             filters: {}
         };
@@ -241,7 +250,8 @@ export class DSGridOrTable {
         }
 
         // Initialize standard modules (reuse DSTable modules)
-        if (this.config.pagination) this.modules.pagination = new DSTablePagination(this);
+        if (this.config.load_more) this.modules.loadMore = new DSTableLoadMore(this);
+        else if (this.config.pagination) this.modules.pagination = new DSTablePagination(this);
         if (this.config.search) this.modules.search = new DSTableSearch(this);
         if (this.config.sort && this.table) this.modules.sort = new DSTableSort(this);
         if (this.config.filter) this.modules.filter = new DSTableFilter(this);
@@ -293,18 +303,26 @@ export class DSGridOrTable {
 
     // ================= DATA LOADING =================
 
-    async loadData() {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.append] - Append the rows to the current ones instead of replacing them
+     */
+    async loadData(options = {}) {
         if (this.isLoading) return;
+        const context = { append: !!options.append };
+
+        Object.values(this.modules).forEach(m => m.onBeforeLoad && m.onBeforeLoad(this.params, context));
+
         this.isLoading = true;
-        this._toggleLoading(true);
+        this._toggleLoading(true, context.append);
 
         if (this.config.beforeSend) this.config.beforeSend({ params: this.params });
 
         try {
             if (this.config.table_source === 'ajax') {
-                await this._loadFromAjax();
+                await this._loadFromAjax(context);
             } else if (this.config.table_source === 'json') {
-                this._handleDataSuccess(this.config.data || []);
+                this._handleDataSuccess(this.config.data || [], context);
             } else if (this.config.table_source === 'html') {
                 this.isLoading = false;
                 this._toggleLoading(false);
@@ -312,13 +330,15 @@ export class DSGridOrTable {
         } catch (error) {
             console.error('DSGridOrTable: Error loading data', error);
             if (this.config.error) this.config.error(error);
-            this.renderer.showError(this.config.errorMessage);
+            // Appended pages keep the rows already on screen
+            if (!context.append) this.renderer.showError(this.config.errorMessage);
             this.isLoading = false;
             this._toggleLoading(false);
+            this._emit('loadError', { error, params: this.params, ...context });
         }
     }
 
-    async _loadFromAjax() {
+    async _loadFromAjax(context = {}) {
         const url = this.config.ajax_url;
         const method = this.config.ajax_method;
         const data = { ...this.config.ajax_data, ...this.params };
@@ -332,9 +352,9 @@ export class DSGridOrTable {
                 params: method === 'GET' ? data : undefined,
                 data: method !== 'GET' ? data : undefined
             });
-            this._handleDataSuccess(response.data);
+            this._handleDataSuccess(response.data, context);
         } else if (this.config.ajax_function === 'fetch' || window.fetch) {
-            const queryString = new URLSearchParams(data).toString();
+            const queryString = DSTableQuery.stringify(data);
             const fetchUrl = method === 'GET' ? `${url}?${queryString}` : url;
             const options = {
                 method,
@@ -343,27 +363,34 @@ export class DSGridOrTable {
             };
             const res = await fetch(fetchUrl, options);
             const json = await res.json();
-            this._handleDataSuccess(json);
+            this._handleDataSuccess(json, context);
         } else {
             throw new Error('DSGridOrTable: No valid ajax function found');
         }
     }
 
-    _handleDataSuccess(response) {
+    _handleDataSuccess(response, context = {}) {
+        let rows = [];
         if (response.data) {
-            this.data = response.data;
+            rows = response.data;
             this.meta = response.meta || {};
         } else if (Array.isArray(response)) {
-            this.data = response;
+            rows = response;
         }
 
-        this.renderer.render();
+        if (context.append) {
+            this.data = [...this.data, ...rows];
+            this.renderer.render({ append: rows });
+        } else {
+            this.data = rows;
+            this.renderer.render();
+        }
 
         if (this.config.success) this.config.success(response);
         if (this.config.afterSend) this.config.afterSend(response);
 
         // Notify modules
-        Object.values(this.modules).forEach(m => m.onDataLoaded && m.onDataLoaded(response));
+        Object.values(this.modules).forEach(m => m.onDataLoaded && m.onDataLoaded(response, context));
 
         this.isLoading = false;
         this._toggleLoading(false);
@@ -372,10 +399,10 @@ export class DSGridOrTable {
 
     // ================= LOADING STATE =================
 
-    _toggleLoading(loading) {
+    _toggleLoading(loading, silent = false) {
         if (loading) {
             this.wrapper.classList.add('loading-state');
-            this.renderer.showSkeleton();
+            if (!silent) this.renderer.showSkeleton();
         } else {
             this.wrapper.classList.remove('loading-state');
         }
@@ -436,6 +463,28 @@ export class DSGridOrTable {
         this.modules[name] = instance;
     }
 
+    /**
+     * Label of a header cell: `data-label`, then its text without sort icons and controls
+     * @param {HTMLTableCellElement} th
+     * @returns {string}
+     */
+    getHeaderLabel(th) {
+        if (th.dataset.label) return th.dataset.label;
+        const clone = th.cloneNode(true);
+        clone.querySelectorAll('.sort-icon, .sort-priority, input, button').forEach(el => el.remove());
+        return clone.textContent.trim();
+    }
+
+    /**
+     * Insert a control (toolbar, banner) above the table, or above the wrapper child that holds it
+     * @param {HTMLElement} element
+     */
+    _insertAboveTable(element) {
+        let anchor = this.table || this.gridContainer;
+        while (anchor?.parentElement && anchor.parentElement !== this.wrapper) anchor = anchor.parentElement;
+        this.wrapper.insertBefore(element, anchor?.parentElement === this.wrapper ? anchor : this.wrapper.firstChild);
+    }
+
     /**
      * Get the current render target element
      * @returns {HTMLElement}
@@ -1,3 +1,5 @@
+import DSTableTemplate from '../DSTable/DSTableTemplate.js';
+
 /**
  * DSGOTRenderer
  * 
@@ -12,9 +14,13 @@ export class DSGOTRenderer {
 
     /**
      * Main render method - routes to appropriate renderer based on current view
+     * @param {Object} [options]
+     * @param {Object[]} [options.append] - Only render these rows (already added to instance data) and append them
      */
-    render() {
+    render(options = {}) {
         const data = this.instance.data;
+        const appendRows = Array.isArray(options.append) ? options.append : null;
+        const offset = appendRows ? data.length - appendRows.length : 0;
         const target = this.instance.getRenderTarget();
 
         if (!target) {
@@ -29,12 +35,12 @@ export class DSGOTRenderer {
 
         if (this.config.type === 'grid' ||
             (this.config.type === 'gridable' && this.instance.currentView === 'grid')) {
-            this._renderGrid(data);
+            this._renderGrid(appendRows || data, !!appendRows, offset);
         } else {
-            this._renderTable(data);
+            this._renderTable(appendRows || data, !!appendRows, offset);
         }
 
-        this.instance._emit('render');
+        this.instance._emit('render', { append: !!appendRows });
 
         // Update selection module if exists
         if (this.instance.modules.selection) {
@@ -44,17 +50,20 @@ export class DSGOTRenderer {
 
     /**
      * Render data as table rows
+     * @param {Object[]} data - Rows to render
+     * @param {boolean} [append] - Keep existing rows
+     * @param {number} [offset] - Index of the first row in instance data
      */
-    _renderTable(data) {
+    _renderTable(data, append = false, offset = 0) {
         const tbody = this.instance.tbody;
         if (!tbody) return;
 
-        tbody.innerHTML = '';
+        if (!append) tbody.innerHTML = '';
         const fragment = document.createDocumentFragment();
         const templateConfig = this.config.rowTemplate;
 
-        data.forEach((row, index) => {
-            const html = this._getTemplateHtml(row, index, templateConfig);
+        data.forEach((row, i) => {
+            const html = this._getTemplateHtml(row, offset + i, templateConfig);
 
             if (html.trim().startsWith('<tr')) {
                 // HTML contains full <tr> element
@@ -79,17 +88,20 @@ export class DSGOTRenderer {
 
     /**
      * Render data as grid cards
+     * @param {Object[]} data - Rows to render
+     * @param {boolean} [append] - Keep existing cards
+     * @param {number} [offset] - Index of the first row in instance data
      */
-    _renderGrid(data) {
+    _renderGrid(data, append = false, offset = 0) {
         const gridContainer = this.instance.gridContainer;
         if (!gridContainer) return;
 
-        gridContainer.innerHTML = '';
+        if (!append) gridContainer.innerHTML = '';
         const fragment = document.createDocumentFragment();
         const templateConfig = this.config.gridTemplate;
 
-        data.forEach((row, index) => {
-            const html = this._getTemplateHtml(row, index, templateConfig);
+        data.forEach((row, i) => {
+            const html = this._getTemplateHtml(row, offset + i, templateConfig);
 
             // Create a temporary container to parse the HTML
             const temp = document.createElement('div');
@@ -127,12 +139,10 @@ export class DSGOTRenderer {
     }
 
     /**
-     * Render a template string with {{placeholder}} syntax
+     * Render a template string. `{{ }}` escapes, `{{{ }}}` is raw (see DSTableTemplate).
      */
     _renderTemplateString(template, data) {
-        return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
-            return data[key] !== undefined ? data[key] : '';
-        });
+        return DSTableTemplate.render(template, data, { filters: this.config.template_filters });
     }
 
     /**
@@ -4,12 +4,33 @@ import DSTableSort from './DSTable/DSTableSort.js';
 import DSTableFilter from './DSTable/DSTableFilter.js';
 import DSTableExport from './DSTable/DSTableExport.js';
 import DSTableSelection from './DSTable/DSTableSelection.js';
+import DSTableLocal from './DSTable/DSTableLocal.js';
+import DSTableUrlState from './DSTable/DSTableUrlState.js';
+import DSTableQuery from './DSTable/DSTableQuery.js';
+import DSTableAdapter from './DSTable/DSTableAdapter.js';
+import DSTableLoadMore from './DSTable/DSTableLoadMore.js';
+import DSTableColumns from './DSTable/DSTableColumns.js';
+import DSTableColumnVisibility from './DSTable/DSTableColumnVisibility.js';
+import DSTableColumnLayout from './DSTable/DSTableColumnLayout.js';
+import DSTableInlineEdit from './DSTable/DSTableInlineEdit.js';
+import DSTableBulkActions from './DSTable/DSTableBulkActions.js';
+import DSTableRowDetails from './DSTable/DSTableRowDetails.js';
+import DSTableGrouping from './DSTable/DSTableGrouping.js';
+import DSTableAutoRefresh from './DSTable/DSTableAutoRefresh.js';
+import DSTableScroll from './DSTable/DSTableScroll.js';
+import DSTableFilterBuilder from './DSTable/DSTableFilterBuilder.js';
+import DSTableResponsive from './DSTable/DSTableResponsive.js';
+import DSTableAccessibility from './DSTable/DSTableAccessibility.js';
+import DSTableViews from './DSTable/DSTableViews.js';
+import DSTableCache from './DSTable/DSTableCache.js';
+import DSTableTemplate from './DSTable/DSTableTemplate.js';
 
 /**
  * DSTable
  * 
  * A comprehensive table plugin for data management.
- * Supports: Pagination, Search, Sort, Filter, Export, Selection.
+ * Supports: Pagination, Search, Sort, Filter, Export, Selection, Grouping.
+ * Local sources ('json' / 'html') are queried in the browser by DSTableLocal.
  */
 export class DSTable {
     static defaults = {
@@ -18,19 +39,147 @@ export class DSTable {
             prev: 'Previous',
             next: 'Next',
             goto: 'Go to',
-            stats: 'Showing {from} to {to} of {total} entries'
+            per_page: 'Per page',
+            stats: 'Showing {from} to {to} of {total} entries',
+            stats_simple: 'Showing {from} to {to}',
+            pagination: 'Pagination',
+            prev_page: 'Previous page',
+            next_page: 'Next page',
+            page: 'Page {page}',
+            goto_page: 'Go to page'
         },
+        pagination_mode: 'length-aware', // length-aware | simple | cursor
+        load_more: false, // false | 'button' | 'scroll' - append pages instead of replacing them
+        load_more_translations: {},
+        per_page: 15,
+        per_page_options: null, // e.g. [10, 25, 50, 100] renders a page size select
         search: true,
         sort: true,
+        multi_sort: true, // Shift-click headers to add secondary sort keys
+        multi_sort_max: null,
         filter: true,
+
+        // Condition editor producing { field, operator, value } clauses in params.where
+        filter_builder: false,
+        filter_builder_fields: null, // [{ key, label, type: text | number | date | select, options, operators }]; defaults to the columns
+        filter_builder_param: 'where',
+        filter_builder_translations: {},
+        filter_presets_url: null, // REST endpoint for saved presets (GET list, POST { name, clauses }, DELETE /{id})
+        filter_presets_storage: 'localStorage', // localStorage | sessionStorage, when there is no endpoint
+        filter_presets_storage_key: null, // Defaults to dstable_filters_{wrapper id | ajax_url | path}
+
+        // Named views: params (search, sorts, filters, per_page) + hidden columns + column layout
+        views: false,
+        views_url: null, // REST endpoint (GET list, POST create, PUT /{id} update, DELETE /{id})
+        views_adapter: null, // Custom storage: { list(), create(view), update(view), delete(view) }, values or promises
+        views_storage: 'localStorage', // localStorage | sessionStorage, when there is no endpoint / adapter
+        views_storage_key: null, // Defaults to dstable_views_{wrapper id | ajax_url | path}
+        views_translations: {},
+
         export: true,
+        export_mode: 'page', // page | all | server
+        export_url: null, // Server export endpoint for export_mode: 'server'
+        export_columns: null, // [{ key, title }] or { key: title }; defaults to thead th[data-key|data-sort]
+        export_filename: 'export',
+        export_per_page: 500, // Page size used while walking every page
+        export_translations: {},
         selection: true,
 
+        // Toolbar shown while rows are selected: [{ name, label, url, method, confirm, ... }]
+        bulk_actions: null,
+        bulk_chunk_size: 100, // IDs per request
+        bulk_translations: {},
+
+        // Column chooser dropdown (hidden columns persisted per table)
+        column_visibility: false,
+        column_visibility_hidden: [], // Column keys hidden by default
+        column_visibility_persist: true,
+        column_visibility_storage: 'localStorage', // localStorage | sessionStorage
+        column_visibility_storage_key: null, // Defaults to dstable_columns_{wrapper id | ajax_url | path}
+        column_visibility_icon: 'view_column',
+        column_visibility_translations: {},
+
+        // Drag header borders / headers to resize / reorder columns
+        column_resize: false,
+        column_reorder: false,
+        column_min_width: 50, // px
+        column_layout: null, // Initial layout from getLayout(): { order: [...keys], widths: { key: px } }
+
+        // Expandable detail rows, toggled by [data-ds-expand] buttons or `type: 'expand'` columns
+        row_details: false,
+        row_details_function: null, // (row, index) => html | HTMLElement | Promise
+        row_details_template: null, // Selector of a <template> rendered with DSTableTemplate
+        row_details_url: null, // e.g. '/api/users/{id}/details', returns HTML or { html }
+        row_details_cache: true,
+        row_details_single: false, // Collapse other rows when one is expanded
+        row_details_icons: {}, // { expand, collapse }
+        row_details_translations: {},
+
+        // Group rows under collapsible header rows, with aggregates and a tfoot totals row
+        group_by: null, // 'status' | ['status', 'month'] | [{ key, value: row => ..., label: (value, group) => string }]
+        group_aggregates: null, // e.g. { amount: 'sum', price: ['avg', 'max'] }
+        group_totals: true, // tfoot totals row when group_aggregates is set
+        group_collapsed: false, // Start with every group collapsed
+        group_format: null, // (value, field, fn) => html
+        group_icons: {}, // { expand, collapse }
+        group_translations: {},
+
+        // Double-click cells with data-edit (or editable columns) to edit them in place
+        inline_edit: false,
+        inline_edit_url: null, // e.g. '/api/users/{id}'; PATCHed with { field, value }. null = local update only
+        inline_edit_method: 'PATCH',
+        inline_edit_translations: {},
+
+        // Poll the current page in the background and patch only the rows that changed
+        auto_refresh: false,
+        auto_refresh_interval: 30000, // ms
+        auto_refresh_when_hidden: false, // Keep polling while the tab is hidden
+        auto_refresh_highlight: 'bg-warning/20', // Classes briefly added to changed rows (false = none)
+        auto_refresh_highlight_duration: 2000, // ms
+
+        // Long tables: pinned header, frozen leading columns, virtual rendering
+        sticky_header: false,
+        frozen_columns: 0, // Number of leading (visible) columns kept in place when scrolling sideways
+        scroll_height: null, // Max height of the scroll container, e.g. '70vh' or 600 (px). virtual_scroll defaults it to '600px'
+        virtual_scroll: false, // Only keep the rows around the viewport in the DOM (use with per_page: 0 for local data)
+        virtual_row_height: null, // px; measured from the first row when null
+        virtual_buffer: 10, // Extra rows rendered above / below the viewport
+
+        // Rows become labelled cards below the breakpoint
+        responsive: false,
+        responsive_breakpoint: 768, // px (cards below it), or a media query string such as '(max-width: 40rem)'
+        responsive_translations: {},
+
+        // Keyboard navigation (roving tabindex), ARIA grid roles and a live region announcing the visible range.
+        // Opt-in: it makes the table a single tab stop and takes in-cell links / buttons out of the tab order.
+        accessibility: false,
+        accessibility_translations: {},
+
         table_source: 'ajax', // ajax | html | json
         ajax_url: null,
         ajax_data: {},
         ajax_method: 'GET',
         ajax_function: 'axios', // xhr | axios | fetch
+        ajax_adapter: 'laravel', // laravel | laravel-paginator | laravel-resource | jsonapi | custom | { request, response }
+        ajax_adapter_map: {}, // Field paths / param names for ajax_adapter: 'custom'
+
+        // Client-side response cache (Ajax): instant back / forward paging, revalidated in the background
+        cache: false,
+        cache_ttl: 300000, // ms an entry may be served
+        cache_max_entries: 50,
+        cache_revalidate_after: 5000, // ms; older hits are reloaded in the background (0 = every hit)
+        cache_prefetch: false, // Fetch the next page in idle time after each load
+        cache_invalidate_on: ['ds:delete:success', 'ds:restore:success', 'smartform:success'], // Document events that clear the cache
+
+        // Local source options (table_source: 'json' | 'html')
+        data: [],
+        local_search_fields: null, // null = every non-underscore field
+        local_filter: null, // (row, params) => boolean
+
+        // URL query-string sync
+        url_sync: false,
+        url_sync_mode: 'replace', // replace | push
+        url_sync_prefix: '', // e.g. 'users_' when several tables share a page
 
         success: null,
         error: null,
@@ -41,7 +190,13 @@ export class DSTable {
         template_function: null,
         template_html: null,
         template_response: 'data.*.html_response',
+        template_filters: {}, // Extra DSTableTemplate filters: { name: (value, ...args) => value }
 
+        // Declarative columns: [{ key, title, type, formatter, sortable, ... }]. Builds thead and cells.
+        columns: null,
+        columns_locale: null, // Intl locale for number / currency / date columns (browser default)
+        columns_currency: 'USD',
+        row_key: 'id', // Field that identifies a row
 
         emptyIcon: 'search_off',
         errorIcon: 'error',
@@ -81,16 +236,23 @@ export class DSTable {
         this.meta = {}; // Pagination meta
         this.params = {
             page: 1,
-            per_page: 15,
-            sort_by: null,
+            per_page: this.config.per_page,
             sort_by: null,
             sort_order: 'asc',
+            sorts: [], // [{ column, direction }] in priority order
+
             search: null,
             filters: {}
         };
 
         this.modules = {};
         this.isLoading = false;
+        this.adapter = DSTableAdapter.resolve(this.config.ajax_adapter);
+
+        // Request tracking: only the response for the latest params is rendered
+        this._requestId = 0;
+        this._abortController = null;
+        this._pendingParams = null;
 
         this._init();
     }
@@ -102,12 +264,42 @@ export class DSTable {
         if (!this.table) throw new Error('DSTable: Table element not found inside wrapper');
 
         // Initialize Modules
-        if (this.config.pagination) this.modules.pagination = new DSTablePagination(this);
+        // Columns first: it builds the thead that sort / selection bind to
+        if (Array.isArray(this.config.columns) && this.config.columns.length) this.modules.columns = new DSTableColumns(this);
+        // Append mode replaces the numbered pagination
+        if (this.config.load_more) this.modules.loadMore = new DSTableLoadMore(this);
+        else if (this.config.pagination) this.modules.pagination = new DSTablePagination(this);
         if (this.config.search) this.modules.search = new DSTableSearch(this);
         if (this.config.sort) this.modules.sort = new DSTableSort(this);
         if (this.config.filter) this.modules.filter = new DSTableFilter(this);
+        if (this.config.filter_builder) this.modules.filterBuilder = new DSTableFilterBuilder(this);
         if (this.config.export) this.modules.export = new DSTableExport(this);
         if (this.config.selection) this.modules.selection = new DSTableSelection(this);
+        if (this.modules.selection && Array.isArray(this.config.bulk_actions) && this.config.bulk_actions.length) {
+            this.modules.bulkActions = new DSTableBulkActions(this);
+        }
+        // Details, then grouping: groups move each row together with its detail row
+        if (this.config.row_details) this.modules.rowDetails = new DSTableRowDetails(this);
+        if (this.config.group_by || this.config.group_aggregates) this.modules.grouping = new DSTableGrouping(this);
+        // Layout before visibility: cells are reordered before hidden columns are applied by position
+        if (this.config.column_resize || this.config.column_reorder) this.modules.columnLayout = new DSTableColumnLayout(this);
+        if (this.config.column_visibility) this.modules.columnVisibility = new DSTableColumnVisibility(this);
+        if (this.config.inline_edit) this.modules.inlineEdit = new DSTableInlineEdit(this);
+        if (this.config.auto_refresh) this.modules.autoRefresh = new DSTableAutoRefresh(this);
+        // After layout / visibility: frozen offsets are measured on the final columns
+        if (this.config.sticky_header || this.config.frozen_columns || this.config.virtual_scroll || this.config.scroll_height) {
+            this.modules.scroll = new DSTableScroll(this);
+        }
+        // Labels are stamped by position, after columns were reordered
+        if (this.config.responsive) this.modules.responsive = new DSTableResponsive(this);
+        // After every module whose state a view stores; a default view is applied before the first load
+        if (this.config.views) this.modules.views = new DSTableViews(this);
+        // Last UI module: its tabindex pass sees the cells and controls every other module added
+        if (this.config.accessibility) this.modules.accessibility = new DSTableAccessibility(this);
+        if (this.config.table_source !== 'ajax') this.modules.local = new DSTableLocal(this);
+        else if (this.config.cache) this.modules.cache = new DSTableCache(this);
+        // Last, so URL values override filter defaults
+        if (this.config.url_sync) this.modules.urlState = new DSTableUrlState(this);
 
         // Initial Load
         this.loadData();
@@ -115,89 +307,174 @@ export class DSTable {
 
     // ================= DATA LOADING =================
 
-    async loadData() {
-        if (this.isLoading) return;
+    /**
+     * Load data for the current params
+     * @param {Object} [options]
+     * @param {boolean} [options.append] - Append the rows to the current ones instead of replacing them
+     * @param {boolean} [options.silent] - Skip the skeleton and keep the current rows on error (defaults to `append`)
+     * @param {boolean} [options.patch] - Re-render only the rows that changed (see `patchRows`), e.g. for background refreshes
+     * @param {boolean} [options.fresh] - Skip the response cache (defaults to `patch`)
+     */
+    async loadData(options = {}) {
+        const { append = false, patch = false, silent = append || patch, fresh = patch } = options;
+        const context = { append, silent, patch, cached: false };
+
+        // The newest query always wins: cancel anything still in flight
+        if (this.isLoading) this._abortPending();
+
+        // Let modules adjust or observe params before the request snapshot is taken
+        Object.values(this.modules).forEach(m => m.onBeforeLoad && m.onBeforeLoad(this.params, context));
+
+        const requestId = ++this._requestId;
+        const controller = new AbortController();
+        const params = { ...this.params };
+        this._abortController = controller;
+        this._pendingParams = params;
+
         this.isLoading = true;
-        this._toggleLoading(true);
+        this._toggleLoading(true, silent);
 
         if (this.config.beforeSend) this.config.beforeSend({ params: this.params });
 
         try {
             if (this.config.table_source === 'ajax') {
-                await this._loadFromAjax();
-            } else if (this.config.table_source === 'json') {
-                // Load from local JSON data provided in config
-                this._handleDataSuccess(this.config.data || []);
-            } else if (this.config.table_source === 'html') {
-                // Parse existing HTML? (Not fully implemented in this plan, mainly for Ajax)
-                this.isLoading = false;
-                this._toggleLoading(false);
+                const cache = this.modules.cache;
+                // Cached pages render right away; the cache revalidates them in the background
+                const cached = cache && !fresh ? cache.get(params) : null;
+                context.cached = !!cached;
+
+                const response = cached || await (cache ? cache.fetch(params, controller.signal) : this._fetchData(params, controller.signal));
+                // Ignore responses for params that have since been replaced
+                if (requestId !== this._requestId) return;
+                this._handleDataSuccess(response, context);
+            } else if (this.config.table_source === 'json' || this.config.table_source === 'html') {
+                // Search, sort, filter and paginate the local dataset in the browser
+                this._handleDataSuccess(this.modules.local.query(this.params), context);
             }
         } catch (error) {
+            // Superseded or cancelled requests are reported through `dstable:aborted`, not as errors
+            if (requestId !== this._requestId || this._isAbortError(error)) return;
+
             console.error('DSTable: Error loading data', error);
             if (this.config.error) this.config.error(error);
-            this._showError('Error loading data');
+            // Silent loads keep the rows already on screen
+            if (!silent) this._showError('Error loading data');
             this.isLoading = false;
             this._toggleLoading(false);
+            this._emit('loadError', { error, params, ...context });
+        } finally {
+            if (this._abortController === controller) this._abortController = null;
         }
     }
 
-    async _loadFromAjax() {
+    /**
+     * Fetch one page of data from the server
+     * @param {Object} params - Request params (merged over `ajax_data`)
+     * @param {AbortSignal} [signal] - Signal used to cancel the request
+     * @returns {Promise<Object>} Parsed JSON response
+     */
+    async _fetchData(params, signal) {
         const url = this.config.ajax_url;
         const method = this.config.ajax_method;
-        const data = { ...this.config.ajax_data, ...this.params };
+        const data = { ...this.config.ajax_data, ...this.adapter.request({ ...params }, this) };
 
-        let response;
+        // GET params use bracket notation so arrays / nested values reach Laravel intact (sorts[0][column]=...)
+        const queryString = DSTableQuery.stringify(data);
+        const getUrl = queryString ? `${url}${url.includes('?') ? '&' : '?'}${queryString}` : url;
 
         if (this.config.ajax_function === 'axios' && window.axios) {
-            response = await window.axios({ method, url, params: method === 'GET' ? data : undefined, data: method !== 'GET' ? data : undefined });
-            this._handleDataSuccess(response.data);
+            const response = await window.axios({ method, url: method === 'GET' ? getUrl : url, data: method !== 'GET' ? data : undefined, signal });
+            return response.data;
         } else if (this.config.ajax_function === 'fetch' || window.fetch) {
             // Basic fetch impl
-            const queryString = new URLSearchParams(data).toString();
-            const fetchUrl = method === 'GET' ? `${url}?${queryString}` : url;
+            const fetchUrl = method === 'GET' ? getUrl : url;
             const options = {
                 method,
                 headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
-                body: method !== 'GET' ? JSON.stringify(data) : undefined
+                body: method !== 'GET' ? JSON.stringify(data) : undefined,
+                signal
             };
             const res = await fetch(fetchUrl, options);
-            const json = await res.json();
-            this._handleDataSuccess(json);
-        } else {
-            throw new Error('DSTable: No valid ajax function found');
+            return await res.json();
         }
-    }
 
-    _handleDataSuccess(response) {
-        // Standardize response
-        // Expected: { success: true, data: [...], meta: {...} }
+        throw new Error('DSTable: No valid ajax function found');
+    }
 
-        if (response.data) {
-            this.data = response.data;
-            this.meta = response.meta || {};
-        } else if (Array.isArray(response)) {
-            this.data = response;
+    /**
+     * Cancel the in-flight request and invalidate its response
+     */
+    _abortPending() {
+        this._requestId++;
+        if (this._abortController) {
+            this._abortController.abort();
+            this._abortController = null;
         }
+        this._emit('aborted', { params: this._pendingParams });
+    }
 
-        this.render();
+    _isAbortError(error) {
+        if (!error) return false;
+        if (window.axios && typeof window.axios.isCancel === 'function' && window.axios.isCancel(error)) return true;
+        return error.name === 'AbortError' || error.name === 'CanceledError';
+    }
+
+    _handleDataSuccess(response, context = {}) {
+        const { data: rows, meta } = this.parseResponse(response);
+        this.meta = meta;
+
+        if (context.append) {
+            this.data = [...this.data, ...rows];
+            this.render({ append: rows });
+        } else if (context.patch) {
+            this.patchRows(rows);
+        } else {
+            this.data = rows;
+            this.render();
+        }
 
         if (this.config.success) this.config.success(response);
         if (this.config.afterSend) this.config.afterSend(response);
 
         // Notify modules
-        Object.values(this.modules).forEach(m => m.onDataLoaded && m.onDataLoaded(response));
+        Object.values(this.modules).forEach(m => m.onDataLoaded && m.onDataLoaded(response, context));
 
         this.isLoading = false;
         this._toggleLoading(false);
         this._emit('dataLoaded', response);
     }
 
+    /**
+     * Rows and pagination meta (Laravel field names) from a response, through the configured `ajax_adapter`.
+     * Local sources always answer in the Laravel shape.
+     * @param {Object|Array} response
+     * @param {Object} [params] - Params the response was requested with
+     * @returns {{data: Object[], meta: Object}}
+     */
+    parseResponse(response, params = this.params) {
+        const adapter = this.config.table_source === 'ajax' ? this.adapter : DSTableAdapter.adapters.laravel;
+        const { data, meta } = adapter.response(response, params, this) || {};
+        return { data: Array.isArray(data) ? data : [], meta: meta || {} };
+    }
+
     // ================= RENDERING =================
 
-    render() {
+    /**
+     * Render rows into tbody
+     * @param {Object} [options]
+     * @param {Object[]} [options.append] - Only build these rows (already added to `this.data`) and append them
+     */
+    render(options = {}) {
         if (!this.tbody) return;
-        this.tbody.innerHTML = '';
+
+        // Virtual scrolling builds only the rows in view (it measures the current rows, so tbody isn't cleared first)
+        if (this.data.length > 0 && this.modules.scroll && this.modules.scroll.isVirtual()) {
+            this.modules.scroll.render();
+            return;
+        }
+
+        const appendRows = Array.isArray(options.append) ? options.append : null;
+        if (!appendRows) this.tbody.innerHTML = '';
 
         if (this.data.length === 0) {
             this._showEmpty();
@@ -205,50 +482,128 @@ export class DSTable {
         }
 
         const fragment = document.createDocumentFragment();
+        const offset = appendRows ? this.data.length - appendRows.length : 0;
 
-        this.data.forEach((row, index) => {
-            const tr = document.createElement('tr');
-            let html = '';
-
-            if (this.config.template_source === 'function' && typeof this.config.template_function === 'function') {
-                html = this.config.template_function(row, index);
-            } else if (this.config.template_source === 'html' && this.config.template_html) {
-                html = this._renderTemplate(this.config.template_html, row);
-            } else if (this.config.template_source === 'response') {
-                // deeply get html_response from row using dot notation if needed
-                html = this._getNestedValue(row, this.config.template_response) || '';
-            }
-
-            // If the template returns a full TR, we might need to parse it. 
-            // Expectation: The template returns innerHTML for the TR, or the configuration handles the TR wrapper.
-            // Adjusting based on standard table needs: assumes content is <td>...</td>
-            // BUT if template_response is used, the example shows "<tr><td>...</td></tr>"
-
-            if (html.trim().startsWith('<tr')) {
-                const tempTable = document.createElement('table');
-                const tempTbody = document.createElement('tbody');
-                tempTable.appendChild(tempTbody);
-                tempTbody.innerHTML = html;
-                const newRow = tempTbody.firstElementChild;
-                if (newRow) {
-                    fragment.appendChild(newRow);
-                }
-            } else {
-                tr.innerHTML = html;
-                fragment.appendChild(tr);
-            }
+        (appendRows || this.data).forEach((row, i) => {
+            const tr = this._buildRow(row, offset + i);
+            if (tr) fragment.appendChild(tr);
         });
 
         this.tbody.appendChild(fragment);
-        this._emit('render');
+        this._emit('render', { append: !!appendRows });
 
         // Re-initialize selection module for new rows if needed
         if (this.modules.selection) this.modules.selection.update();
     }
 
+    /**
+     * Rendered data rows, in order. Rows added by modules (details, group headers) carry `data-ds-row` and are excluded.
+     * @returns {HTMLTableRowElement[]}
+     */
+    getRowElements() {
+        if (!this.tbody) return [];
+        return Array.from(this.tbody.querySelectorAll(':scope > tr[data-ds-index]'));
+    }
+
+    /**
+     * Re-render one row in place (e.g. after an inline edit). Emits `render` with `{ rows: [tr] }`.
+     * @param {number} index - Index in `this.data`
+     * @param {Object} [row] - Replacement data for the row
+     * @returns {HTMLTableRowElement|null} The new row, or null if it is not on screen
+     */
+    updateRow(index, row) {
+        if (row) this.data[index] = row;
+
+        const current = this.getRowElements().find(tr => tr.dataset.dsIndex === String(index));
+        if (!current || !this.data[index]) return null;
+
+        const tr = this._buildRow(this.data[index], index);
+        if (!tr) return null;
+        current.replaceWith(tr);
+
+        this._emit('render', { append: false, rows: [tr] });
+        if (this.modules.selection) this.modules.selection.update();
+        return tr;
+    }
+
+    /**
+     * Replace the data with a fresh copy of the current page, re-rendering only the rows that changed.
+     * Rows are matched by `row_key`; when rows were added, removed or moved the page is rendered again.
+     * Emits `rowsChanged` with the new or changed rows.
+     * @param {Object[]} rows
+     * @returns {number[]} Indexes (in `this.data`) of the new or changed rows
+     */
+    patchRows(rows) {
+        const keyOf = (row) => String(this._getNestedValue(row, this.config.row_key || 'id') ?? '');
+        const previous = new Map(this.data.map(row => [keyOf(row), JSON.stringify(row)]));
+        const changed = rows
+            .map((row, index) => previous.get(keyOf(row)) === JSON.stringify(row) ? -1 : index)
+            .filter(index => index >= 0);
+        const sameRows = rows.length === this.data.length &&
+            rows.every((row, i) => keyOf(row) !== '' && keyOf(row) === keyOf(this.data[i]));
+
+        this.data = rows;
+        if (!sameRows) {
+            this.render();
+        } else {
+            changed.forEach(index => this.updateRow(index));
+        }
+
+        if (changed.length) {
+            const elements = this.getRowElements().filter(tr => changed.includes(parseInt(tr.dataset.dsIndex)));
+            this._emit('rowsChanged', { indexes: changed, rows: elements });
+        }
+        return changed;
+    }
+
+    /**
+     * Build the `<tr>` for one data row
+     * @param {Object} row
+     * @param {number} index - Index in `this.data`
+     * @returns {HTMLTableRowElement|null}
+     */
+    _buildRow(row, index) {
+        const tr = document.createElement('tr');
+        let html = '';
+
+        if (this.modules.columns) {
+            html = this.modules.columns.renderRow(row, index);
+        } else if (this.config.template_source === 'function' && typeof this.config.template_function === 'function') {
+            html = this.config.template_function(row, index);
+        } else if (this.config.template_source === 'html' && this.config.template_html) {
+            html = this._renderTemplate(this.config.template_html, row);
+        } else if (this.config.template_source === 'response') {
+            // deeply get html_response from row using dot notation if needed
+            html = this._getNestedValue(row, this.config.template_response) || '';
+        }
+
+        // If the template returns a full TR, we might need to parse it. 
+        // Expectation: The template returns innerHTML for the TR, or the configuration handles the TR wrapper.
+        // Adjusting based on standard table needs: assumes content is <td>...</td>
+        // BUT if template_response is used, the example shows "<tr><td>...</td></tr>"
+
+        if (html.trim().startsWith('<tr')) {
+            const tempTable = document.createElement('table');
+            const tempTbody = document.createElement('tbody');
+            tempTable.appendChild(tempTbody);
+            tempTbody.innerHTML = html;
+            const newRow = tempTbody.firstElementChild;
+            if (newRow) newRow.dataset.dsIndex = index;
+            return newRow;
+        }
+
+        tr.innerHTML = html;
+        tr.dataset.dsIndex = index;
+        return tr;
+    }
+
+    /**
+     * Render a `template_html` string. `{{ }}` escapes, `{{{ }}}` is raw (see DSTableTemplate).
+     */
     _renderTemplate(template, data) {
-        return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
-            return data[key] !== undefined ? data[key] : '';
+        return DSTableTemplate.render(template, data, {
+            filters: this.config.template_filters,
+            locale: this.config.columns_locale
         });
     }
 
@@ -312,10 +667,11 @@ export class DSTable {
         }
     }
 
-    _toggleLoading(loading) {
+    _toggleLoading(loading, silent = false) {
+        this.table.setAttribute('aria-busy', loading ? 'true' : 'false');
         if (loading) {
             this.wrapper.classList.add('loading-state');
-            this._showSkeleton();
+            if (!silent) this._showSkeleton();
         } else {
             this.wrapper.classList.remove('loading-state');
             // Skeleton will be cleared by render() normally, 
@@ -328,7 +684,8 @@ export class DSTable {
         if (!this.tbody) return;
 
         const perPage = this.params.per_page || 10;
-        const columns = this.table.querySelectorAll('thead th').length || 5;
+        // Hidden columns (column chooser) don't get a skeleton cell
+        const columns = this.table.querySelectorAll('thead th:not([hidden])').length || 5;
         let skeletonHtml = '';
 
         for (let i = 0; i < perPage; i++) {
@@ -366,7 +723,18 @@ export class DSTable {
 
     refresh() {
         this.params.page = 1;
-        this.loadData();
+        this.loadData({ fresh: true });
+    }
+
+    /**
+     * Cancel the in-flight request (if any) and restore the current rows
+     */
+    abort() {
+        if (!this.isLoading) return;
+        this._abortPending();
+        this.isLoading = false;
+        this._toggleLoading(false);
+        this.render();
     }
 
     setParam(key, value) {
@@ -377,10 +745,55 @@ export class DSTable {
         return this.params[key];
     }
 
+    /**
+     * Header cells of the first `thead` row, in display order. Each is stamped with a stable
+     * `data-ds-column` key: `data-key`, then `data-sort`, then `col_{index}` of its original position.
+     * @returns {HTMLTableCellElement[]}
+     */
+    getHeaderCells() {
+        const row = this.table.querySelector('thead tr');
+        if (!row) return [];
+
+        return Array.from(row.cells).map((th, index) => {
+            if (!th.dataset.dsColumn) th.dataset.dsColumn = th.dataset.key || th.dataset.sort || `col_${index}`;
+            return th;
+        });
+    }
+
+    /**
+     * Label of a header cell: `data-label`, then its text without sort icons, resizers and controls
+     * @param {HTMLTableCellElement} th
+     * @returns {string}
+     */
+    getHeaderLabel(th) {
+        if (th.dataset.label) return th.dataset.label;
+        const clone = th.cloneNode(true);
+        clone.querySelectorAll('.sort-icon, .sort-priority, .ds-column-resizer, input, button').forEach(el => el.remove());
+        return clone.textContent.trim();
+    }
+
+    /**
+     * Insert a control (toolbar, banner) directly above the table, or above the wrapper child that holds it
+     * @param {HTMLElement} element
+     */
+    _insertAboveTable(element) {
+        let anchor = this.table;
+        while (anchor.parentElement && anchor.parentElement !== this.wrapper) anchor = anchor.parentElement;
+        this.wrapper.insertBefore(element, anchor.parentElement === this.wrapper ? anchor : this.wrapper.firstChild);
+    }
+
     registerModule(name, instance) {
         this.modules[name] = instance;
     }
 
+    /**
+     * Bring module controls (sort icons, search input, filter inputs) in line with the current params.
+     * Call after changing `params` directly.
+     */
+    syncControls() {
+        Object.values(this.modules).forEach(m => m.syncUI && m.syncUI());
+    }
+
     // ================= EVENTS =================
 
     on(event, handler) {
@@ -0,0 +1,422 @@
+/**
+ * DSTableAccessibility
+ *
+ * Keyboard navigation and ARIA grid semantics. The table is a single tab stop (roving tabindex): the arrow keys,
+ * Home / End (with Ctrl: first / last row) and PageUp / PageDown move between cells, Space toggles the row's
+ * selection, and Enter sorts by a header, activates a cell's only button / link, moves into a cell's controls
+ * or starts inline editing (also F2). Escape returns from a cell's controls to the cell.
+ *
+ * Controls inside cells (checkboxes, action buttons, links) are taken out of the tab order; Tab cycles through
+ * the controls of the current cell. Focus stays on the same cell when rows are re-rendered.
+ *
+ * After each load a polite live region announces the visible range, e.g. "Showing 16 to 30 of 120".
+ */
+export class DSTableAccessibility {
+    static translations = {
+        showing: 'Showing {from} to {to} of {total}',
+        showing_simple: 'Showing {from} to {to}'
+    };
+
+    // Rows moved by PageUp / PageDown
+    static pageRows = 10;
+
+    static focusable = 'a[href], button, input, select, textarea, [tabindex]';
+
+    constructor(tableInstance) {
+        this.table = tableInstance;
+        this.table.registerModule('accessibility', this);
+
+        this.translations = { ...DSTableAccessibility.translations, ...(this.table.config.accessibility_translations || {}) };
+
+        // Active cell: { index } (data row) or { row } (position among the navigable rows), plus { col }
+        this.active = null;
+        // Focus was inside the table when rows were last replaced
+        this.hasFocus = false;
+        this.live = null;
+        this._announceTimer = null;
+
+        this._init();
+    }
+
+    _init() {
+        const table = this.table.table;
+        table.setAttribute('role', 'grid');
+        if (this.table.modules.selection) table.setAttribute('aria-multiselectable', 'true');
+
+        this.live = this.table.wrapper.querySelector('.ds-table-live');
+        if (!this.live) {
+            this.live = document.createElement('div');
+            this.live.className = 'ds-table-live sr-only';
+            this.live.setAttribute('aria-live', 'polite');
+            this.live.setAttribute('aria-atomic', 'true');
+            this.table.wrapper.appendChild(this.live);
+        }
+
+        table.addEventListener('keydown', (e) => this._onKeydown(e));
+        table.addEventListener('focusin', (e) => {
+            this.hasFocus = true;
+            clearTimeout(this._blurTimer);
+            const cell = this._cellOf(e.target);
+            if (cell) this._setActive(cell);
+        });
+        table.addEventListener('focusout', (e) => {
+            if (e.relatedTarget && table.contains(e.relatedTarget)) return;
+            // Removed cells (re-rendered rows) also lose focus: only a cell that is still there was left on purpose
+            const target = e.target;
+            this._blurTimer = setTimeout(() => {
+                if (target.isConnected) this.hasFocus = false;
+            }, 0);
+        });
+
+        // A single re-rendered row (updateRow) only needs its own cells prepared
+        this.table.on('render', (e) => this._refresh(e.detail?.rows));
+        this.table.on('selectionChange', () => this._syncSelected());
+        this.table.on('columnVisibilityChange', () => this._refresh());
+        this.table.on('layoutChange', () => this._refresh());
+        this.table.on('groupToggle', () => this._refresh());
+
+        this._refresh();
+    }
+
+    onDataLoaded(response, context = {}) {
+        // Background refreshes keep the same rows: nothing new to announce
+        if (context.patch) return;
+        this.announce(this._rangeMessage(context));
+    }
+
+    // ================= CELLS =================
+
+    /**
+     * Rows the keyboard moves through: header, body and footer rows that are shown (no virtual scroll spacers)
+     * @returns {HTMLTableRowElement[]}
+     */
+    _rows() {
+        return Array.from(this.table.table.rows).filter(tr => !tr.hidden && tr.dataset.dsRow !== 'spacer');
+    }
+
+    _cells(tr) {
+        return Array.from(tr.cells).filter(cell => !cell.hidden);
+    }
+
+    _cellOf(element) {
+        const cell = element?.closest?.('td, th');
+        if (!cell || cell.closest('table') !== this.table.table) return null;
+        return cell;
+    }
+
+    _controls(cell) {
+        return Array.from(cell.querySelectorAll(DSTableAccessibility.focusable))
+            .filter(el => !el.disabled && !el.closest('[hidden]') && this._cellOf(el) === cell);
+    }
+
+    _setActive(cell) {
+        const tr = cell.parentElement;
+        const col = Math.max(0, this._cells(tr).indexOf(cell));
+        this.active = tr.dataset.dsIndex !== undefined && tr.closest('tbody')
+            ? { index: tr.dataset.dsIndex, col }
+            : { row: this._rows().indexOf(tr), col };
+
+        this._setTabStop(cell);
+    }
+
+    /**
+     * Make `cell` the table's only tab stop
+     */
+    _setTabStop(cell) {
+        this.table.table.querySelectorAll('td[tabindex="0"], th[tabindex="0"]').forEach(c => {
+            if (c !== cell && c.closest('table') === this.table.table) c.setAttribute('tabindex', '-1');
+        });
+        cell.setAttribute('tabindex', '0');
+    }
+
+    /**
+     * Cell for the stored active position; the first header cell when there is none (or it is gone)
+     */
+    _activeCell() {
+        const rows = this._rows();
+        if (!rows.length) return null;
+
+        let tr = null;
+        if (this.active?.index !== undefined) {
+            tr = this.table.tbody.querySelector(`tr[data-ds-index="${this.active.index}"]`);
+        }
+        if (!tr && this.active) {
+            // The row is gone (new page, filtered out): stay at the same height in the table
+            tr = rows[Math.min(this.active.row ?? rows.findIndex(r => r.closest('tbody')), rows.length - 1)] || null;
+        }
+        if (!tr || tr.hidden) tr = rows[0];
+
+        const cells = this._cells(tr);
+        return cells[Math.min(this.active?.col ?? 0, cells.length - 1)] || null;
+    }
+
+    /**
+     * Rows were (re-)rendered: new cells get tabindex, the active cell keeps focus
+     * @param {HTMLTableRowElement[]} [changed] - Only these rows were replaced (default: every row)
+     */
+    _refresh(changed = null) {
+        const rows = changed ? changed.filter(tr => tr.isConnected && !tr.hidden) : this._rows();
+        rows.forEach(tr => {
+            this._cells(tr).forEach(cell => {
+                if (!cell.hasAttribute('tabindex')) cell.setAttribute('tabindex', '-1');
+                this._controls(cell).forEach(el => el.setAttribute('tabindex', '-1'));
+            });
+        });
+
+        const cell = this._activeCell();
+        if (cell) {
+            this._setTabStop(cell);
+
+            // The focused cell was replaced: move focus to its successor (without scrolling the page)
+            const focused = document.activeElement;
+            if (this.hasFocus && (!focused || focused === document.body)) cell.focus({ preventScroll: true });
+        }
+
+        this._syncSelected(changed);
+    }
+
+    _syncSelected(rows = null) {
+        const selection = this.table.modules.selection;
+        if (!selection) return;
+
+        const key = this.table.config.row_key || 'id';
+        (rows || this.table.getRowElements()).forEach(tr => {
+            const row = this.table.data[tr.dataset.dsIndex];
+            if (!row) return;
+            tr.setAttribute('aria-selected', selection.isSelected(this.table._getNestedValue(row, key)) ? 'true' : 'false');
+        });
+    }
+
+    // ================= KEYBOARD =================
+
+    _onKeydown(e) {
+        const cell = this._cellOf(e.target);
+        if (!cell) return;
+
+        // Inside the cell's controls (or an inline editor)
+        if (e.target !== cell) {
+            this._onControlKeydown(e, cell);
+            return;
+        }
+        if (e.altKey || e.metaKey) return;
+
+        const tr = cell.parentElement;
+        const rows = this._rows();
+        const rowIndex = rows.indexOf(tr);
+        const col = this._cells(tr).indexOf(cell);
+        const pageRows = DSTableAccessibility.pageRows;
+
+        switch (e.key) {
+            case 'ArrowRight': this._focus(rowIndex, col + 1); break;
+            case 'ArrowLeft': this._focus(rowIndex, col - 1); break;
+            case 'ArrowDown': this._moveRows(tr, rowIndex, col, 1); break;
+            case 'ArrowUp': this._moveRows(tr, rowIndex, col, -1); break;
+            case 'PageDown': this._moveRows(tr, rowIndex, col, pageRows); break;
+            case 'PageUp': this._moveRows(tr, rowIndex, col, -pageRows); break;
+            case 'Home':
+                if (e.ctrlKey) this._focus(0, 0);
+                else this._focus(rowIndex, 0);
+                break;
+            case 'End':
+                if (e.ctrlKey) this._focusLast(col);
+                else this._focus(rowIndex, Infinity);
+                break;
+            case ' ':
+                if (!this._toggleSelection(cell, e)) return;
+                break;
+            case 'Enter':
+            case 'F2':
+                if (!this._activate(cell, e)) return;
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
+    }
+
+    _onControlKeydown(e, cell) {
+        if (e.key === 'Escape') {
+            // Editors and detail rows handle their own Escape; focus comes back to the cell if it was lost
+            if (!e.defaultPrevented) {
+                e.preventDefault();
+                cell.focus();
+            } else {
+                setTimeout(() => {
+                    const focused = document.activeElement;
+                    if (cell.isConnected && (!focused || focused === document.body)) cell.focus();
+                }, 0);
+            }
+            return;
+        }
+
+        if (e.key === 'Tab' && !e.defaultPrevented) {
+            const controls = this._controls(cell);
+            const next = controls[controls.indexOf(e.target) + (e.shiftKey ? -1 : 1)];
+            if (next) {
+                e.preventDefault();
+                next.focus();
+            }
+        }
+    }
+
+    /**
+     * Focus a cell by position, clamped to the table
+     * @returns {HTMLTableCellElement|null}
+     */
+    _focus(rowIndex, col) {
+        const rows = this._rows();
+        const tr = rows[Math.max(0, Math.min(rowIndex, rows.length - 1))];
+        if (!tr) return null;
+
+        const cells = this._cells(tr);
+        const cell = cells[Math.max(0, Math.min(col, cells.length - 1))];
+        if (!cell) return null;
+
+        this._setActive(cell);
+        cell.focus();
+        return cell;
+    }
+
+    _moveRows(tr, rowIndex, col, delta) {
+        const scroll = this.table.modules.scroll;
+        // Virtual scrolling: the target row may not be rendered yet
+        if (scroll?.isVirtual() && tr.dataset.dsIndex !== undefined && tr.closest('tbody')) {
+            const target = Number(tr.dataset.dsIndex) + delta;
+            if (target >= 0 && target < this.table.data.length) {
+                this._focusDataRow(target, col);
+                return;
+            }
+        }
+        this._focus(rowIndex + delta, col);
+    }
+
+    _focusLast(col) {
+        const scroll = this.table.modules.scroll;
+        if (scroll?.isVirtual() && this.table.data.length) {
+            this._focusDataRow(this.table.data.length - 1, col);
+            return;
+        }
+        this._focus(this._rows().length - 1, col);
+    }
+
+    _focusDataRow(index, col) {
+        const find = () => this.table.tbody.querySelector(`tr[data-ds-index="${index}"]`);
+        let tr = find();
+        if (!tr) {
+            this.table.modules.scroll.scrollToIndex(index);
+            tr = find();
+        }
+        if (tr) this._focus(this._rows().indexOf(tr), col);
+    }
+
+    /**
+     * Space: toggle the row's selection (shift extends the range), or every row from the header checkbox cell
+     * @returns {boolean} Whether the key was handled
+     */
+    _toggleSelection(cell, e) {
+        const selection = this.table.modules.selection;
+        if (!selection) return false;
+
+        const tr = cell.parentElement;
+        if (tr.closest('thead')) {
+            const checkAll = tr.querySelector('input[type="checkbox"].select-all');
+            if (!checkAll) return false;
+            checkAll.click();
+            return true;
+        }
+
+        if (tr.dataset.dsIndex === undefined || tr.dataset.dsRow) return false;
+
+        // The checkbox keeps shift-click ranges and the anchor working
+        const checkbox = tr.querySelector('input[type="checkbox"].select-row');
+        if (checkbox) {
+            checkbox.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true, shiftKey: e.shiftKey }));
+            return true;
+        }
+
+        const row = this.table.data[tr.dataset.dsIndex];
+        if (!row) return false;
+        const id = this.table._getNestedValue(row, this.table.config.row_key || 'id');
+        selection._toggleId(id, !selection.isSelected(id));
+        return true;
+    }
+
+    /**
+     * Enter / F2 on a cell
+     * @returns {boolean} Whether the key was handled
+     */
+    _activate(cell, e) {
+        // Sortable header: same as a click (Shift adds a sort key)
+        if (e.key === 'Enter' && cell.matches('thead th[data-sort]') && this.table.modules.sort) {
+            cell.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true, shiftKey: e.shiftKey }));
+            return true;
+        }
+
+        const inlineEdit = this.table.modules.inlineEdit;
+        if (inlineEdit && cell.matches('tbody td[data-edit]') && inlineEdit.startEdit(cell)) return true;
+        if (e.key === 'F2') return false;
+
+        const controls = this._controls(cell);
+        if (!controls.length) return false;
+
+        // A lone button or link (expand toggle, single action) is activated; otherwise focus moves into the cell
+        if (controls.length === 1 && controls[0].matches('button, a[href]')) controls[0].click();
+        else controls[0].focus();
+        return true;
+    }
+
+    // ================= LIVE REGION =================
+
+    _rangeMessage(context) {
+        const meta = this.table.meta || {};
+        const count = this.table.data.length;
+        if (!count) return this.table.config.table_translations.empty;
+
+        // Load more shows every loaded page at once
+        let from = context.append ? 1 : parseInt(meta.from);
+        let to = context.append ? count : parseInt(meta.to);
+        if (!from || !to) {
+            const page = parseInt(this.table.getParam('page')) || 1;
+            const perPage = parseInt(this.table.getParam('per_page')) || count;
+            from = this.table.modules.loadMore ? 1 : (page - 1) * perPage + 1;
+            to = from + count - 1;
+        }
+
+        const total = parseInt(meta.total);
+        const text = Number.isFinite(total) ? this.translations.showing : this.translations.showing_simple;
+        return text.replace('{from}', from).replace('{to}', to).replace('{total}', total);
+    }
+
+    // ================= PUBLIC API =================
+
+    /**
+     * Read a message out through the live region
+     * @param {string} message
+     */
+    announce(message) {
+        if (!this.live) return;
+        clearTimeout(this._announceTimer);
+        // Clearing first makes screen readers repeat an unchanged message
+        this.live.textContent = '';
+        this._announceTimer = setTimeout(() => { this.live.textContent = message || ''; }, 100);
+    }
+
+    /**
+     * Focus a cell
+     * @param {number} rowIndex - Position among the shown rows (header rows included)
+     * @param {number} [col=0] - Position among the shown cells of the row
+     * @returns {HTMLTableCellElement|null}
+     */
+    focusCell(rowIndex, col = 0) {
+        return this._focus(rowIndex, col);
+    }
+
+    /**
+     * The cell that receives focus when tabbing into the table
+     * @returns {HTMLTableCellElement|null}
+     */
+    getActiveCell() {
+        return this._activeCell();
+    }
+}
+export default DSTableAccessibility;
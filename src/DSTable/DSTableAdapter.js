@@ -0,0 +1,291 @@
+/**
+ * DSTableAdapter
+ *
+ * Translates between DSTable and the API it talks to. An adapter is `{ request, response }`:
+ *   request(params, table)        => the params to send (query string or JSON body)
+ *   response(body, params, table) => { data: rows, meta }
+ * `meta` uses Laravel paginator names (current_page, last_page, per_page, total, from, to,
+ * next_page_url, prev_page_url, next_cursor, prev_cursor), which pagination, load more, selection
+ * and export read. Any other meta keys (e.g. `aggregates`) are passed through.
+ *
+ * Built-in adapters: `laravel` (default, paginator or API resource), `laravel-paginator`, `laravel-resource`,
+ * `jsonapi` and `custom` (configured with `ajax_adapter_map`).
+ */
+export class DSTableAdapter {
+    static adapters = {
+        /**
+         * `paginate()` / `simplePaginate()` / `cursorPaginate()` returned directly, an API resource
+         * collection (`{ data, links, meta }`) or a bare array
+         */
+        laravel: {
+            request: (params) => ({ ...params }),
+            response: (body) => {
+                if (Array.isArray(body)) return { data: body, meta: {} };
+                const { data, links, meta, ...rest } = body || {};
+                return DSTableAdapter._laravel(data, links, meta || rest);
+            }
+        },
+
+        'laravel-paginator': {
+            request: (params) => ({ ...params }),
+            response: (body) => {
+                const { data, links, ...meta } = body || {};
+                return DSTableAdapter._laravel(data, links, meta);
+            }
+        },
+
+        'laravel-resource': {
+            request: (params) => ({ ...params }),
+            response: (body) => DSTableAdapter._laravel(body?.data, body?.links, body?.meta || {})
+        },
+
+        /**
+         * page[number] / page[size] (or page[cursor]), sort=-created_at,name and filter[...]: the `filter_selectors` values,
+         * the filter builder clauses (filter[where][0][field]=...) and the search (filter[search]).
+         * Resources are flattened to `{ id, ...attributes }`, with relationships resolved from `included`.
+         */
+        jsonapi: {
+            request: (params, table) => {
+                const { filters, rest: others } = DSTableAdapter.splitFilters(params, table);
+                const { page, per_page, cursor, sorts, sort_by, sort_order, search, ...rest } = others;
+                const request = { ...rest };
+
+                request.page = cursor ? { cursor, size: per_page } : { number: page, size: per_page };
+
+                const sort = DSTableAdapter.sortString(params);
+                if (sort) request.sort = sort;
+
+                const filter = { ...filters };
+                if (search) filter.search = search;
+                if (Object.keys(filter).length) request.filter = filter;
+
+                return request;
+            },
+            response: (body, params) => {
+                const included = new Map();
+                (body?.included || []).forEach(resource => included.set(`${resource.type}:${resource.id}`, resource));
+
+                const rows = (Array.isArray(body?.data) ? body.data : []).map(resource => DSTableAdapter._flatten(resource, included));
+
+                const { page = {}, ...rest } = body?.meta || {};
+                const pick = (...keys) => {
+                    for (const key of keys) {
+                        if (page[key] !== undefined) return page[key];
+                        if (rest[key] !== undefined) return rest[key];
+                    }
+                    return undefined;
+                };
+                const link = (name) => {
+                    const value = body?.links?.[name];
+                    return (value && typeof value === 'object' ? value.href : value) ?? null;
+                };
+
+                const meta = {
+                    ...rest,
+                    current_page: pick('currentPage', 'current_page', 'number'),
+                    per_page: pick('perPage', 'per_page', 'size'),
+                    last_page: pick('lastPage', 'last_page'),
+                    total: pick('total'),
+                    from: pick('from'),
+                    to: pick('to'),
+                    next_page_url: link('next'),
+                    prev_page_url: link('prev')
+                };
+                return { data: rows, meta: DSTableAdapter.complete(meta, rows, params) };
+            }
+        },
+
+        /**
+         * Field names from `ajax_adapter_map`:
+         *   data, total, current_page, per_page, last_page, from, to, next_page_url, prev_page_url, next_cursor, prev_cursor:
+         *     dot paths into the response, or functions of it
+         *   row: (row) => row, applied to every row
+         *   params: { page: 'page', per_page: 'limit', search: 'q', ... } renames outgoing params (null drops one).
+         *     `filters: 'filter'` nests every filter (see splitFilters) under that name: filter[status]=x
+         *   sort_format: 'laravel' (sorts / sort_by / sort_order, default) | 'dash' (sort=-created_at,name) | 'pair' (primary key only)
+         */
+        custom: {
+            request: (params, table) => {
+                const map = table.config.ajax_adapter_map || {};
+                const names = map.params || {};
+                const format = map.sort_format || 'laravel';
+                const request = {};
+
+                let outgoing = params;
+                if (names.filters !== undefined) {
+                    const { filters, rest } = DSTableAdapter.splitFilters(params, table);
+                    if (names.filters && Object.keys(filters).length) request[names.filters] = filters;
+                    outgoing = rest;
+                }
+
+                Object.entries(outgoing).forEach(([key, value]) => {
+                    if (format !== 'laravel' && ['sorts', 'sort_by', 'sort_order'].includes(key)) return;
+                    const name = names[key] === undefined ? key : names[key];
+                    if (name) request[name] = value;
+                });
+
+                if (format === 'dash') {
+                    const sort = DSTableAdapter.sortString(params);
+                    if (sort) request[names.sort || 'sort'] = sort;
+                } else if (format === 'pair' && params.sort_by) {
+                    request[names.sort_by || 'sort_by'] = params.sort_by;
+                    request[names.sort_order || 'sort_order'] = params.sort_order || 'asc';
+                }
+
+                return request;
+            },
+            response: (body, params, table) => {
+                const map = table.config.ajax_adapter_map || {};
+                const read = (field, fallback) => {
+                    const source = map[field] ?? fallback;
+                    if (typeof source === 'function') return source(body);
+                    return source ? table._getNestedValue(body, source) : undefined;
+                };
+
+                let rows = Array.isArray(body) ? body : read('data', 'data');
+                rows = Array.isArray(rows) ? rows : [];
+                if (typeof map.row === 'function') rows = rows.map(map.row);
+
+                const meta = {};
+                DSTableAdapter.metaFields.forEach(field => {
+                    const value = read(field);
+                    if (value !== undefined) meta[field] = value;
+                });
+                return { data: rows, meta: DSTableAdapter.complete(meta, rows, params) };
+            }
+        }
+    };
+
+    static metaFields = ['total', 'current_page', 'per_page', 'last_page', 'from', 'to', 'next_page_url', 'prev_page_url', 'next_cursor', 'prev_cursor'];
+
+    /**
+     * Adapter for `ajax_adapter`: a built-in name or a `{ request, response }` object (missing methods fall back to `laravel`)
+     * @param {string|Object} adapter
+     * @returns {{request: Function, response: Function}}
+     */
+    static resolve(adapter) {
+        const fallback = DSTableAdapter.adapters.laravel;
+        if (adapter && typeof adapter === 'object') {
+            return {
+                request: typeof adapter.request === 'function' ? adapter.request : fallback.request,
+                response: typeof adapter.response === 'function' ? adapter.response : fallback.response
+            };
+        }
+
+        const named = DSTableAdapter.adapters[adapter || 'laravel'];
+        if (!named) {
+            console.warn(`DSTableAdapter: Unknown adapter "${adapter}", using "laravel"`);
+            return fallback;
+        }
+        return named;
+    }
+
+    /**
+     * Add a named adapter, usable as `ajax_adapter: name`
+     * @param {string} name
+     * @param {{request?: Function, response?: Function}} adapter
+     */
+    static register(name, adapter) {
+        DSTableAdapter.adapters[name] = DSTableAdapter.resolve(adapter);
+    }
+
+    /**
+     * Separate the filter values from the other params. DSTableFilter keeps each filter at the top level of params
+     * (keyed like `filter_selectors`) and the filter builder keeps its clauses under `filter_builder_param`;
+     * values in `params.filters` are included too. Empty values are left out.
+     * @param {Object} params
+     * @param {Object} table
+     * @returns {{filters: Object, rest: Object}}
+     */
+    static splitFilters(params, table) {
+        const config = table?.config || {};
+        const keys = [...Object.keys(config.filter_selectors || {}), config.filter_builder_param || 'where'];
+        const { filters: nested, ...rest } = params;
+        const filters = {};
+
+        const add = (key, value) => {
+            if (value === null || value === undefined || value === '' || (Array.isArray(value) && !value.length)) return;
+            filters[key] = value;
+        };
+
+        Object.entries(nested && typeof nested === 'object' ? nested : {}).forEach(([key, value]) => add(key, value));
+        keys.forEach(key => {
+            if (!(key in rest)) return;
+            add(key, rest[key]);
+            delete rest[key];
+        });
+
+        return { filters, rest };
+    }
+
+    /**
+     * Sort keys as one comma separated value, descending keys prefixed with `-`: `-created_at,name`
+     * @param {Object} params
+     * @returns {string}
+     */
+    static sortString(params) {
+        const sorts = Array.isArray(params.sorts) && params.sorts.length
+            ? params.sorts
+            : (params.sort_by ? [{ column: params.sort_by, direction: params.sort_order }] : []);
+
+        return sorts
+            .filter(sort => sort && sort.column)
+            .map(sort => `${sort.direction === 'desc' ? '-' : ''}${sort.column}`)
+            .join(',');
+    }
+
+    /**
+     * Fill in the meta fields that can be derived: current_page / per_page from the request, from / to, last_page
+     * @param {Object} meta
+     * @param {Object[]} rows
+     * @param {Object} [params] - Params of the request
+     * @returns {Object}
+     */
+    static complete(meta, rows, params = {}) {
+        const result = { ...meta };
+        const page = parseInt(result.current_page ?? params.page) || 1;
+        const perPage = parseInt(result.per_page ?? params.per_page) || rows.length;
+
+        result.current_page = page;
+        result.per_page = perPage;
+        if (result.from === undefined || result.from === null) result.from = rows.length ? (page - 1) * perPage + 1 : null;
+        if (result.to === undefined || result.to === null) result.to = rows.length ? result.from + rows.length - 1 : null;
+        if ((result.last_page === undefined || result.last_page === null) && result.total !== undefined && result.total !== null && perPage) {
+            result.last_page = Math.max(1, Math.ceil(parseInt(result.total) / perPage));
+        }
+        return result;
+    }
+
+    static _laravel(data, links, meta) {
+        const normalized = { ...meta };
+
+        // Resource responses carry the prev / next URLs in `links`
+        if (links && !Array.isArray(links)) {
+            if (normalized.next_page_url === undefined) normalized.next_page_url = links.next ?? null;
+            if (normalized.prev_page_url === undefined) normalized.prev_page_url = links.prev ?? null;
+        }
+
+        return { data: Array.isArray(data) ? data : [], meta: normalized };
+    }
+
+    /**
+     * `{ id, type, attributes, relationships }` => `{ id, ...attributes, relation: { id, ...attributes } }`
+     */
+    static _flatten(resource, included, depth = 0) {
+        if (!resource || typeof resource !== 'object') return resource;
+
+        const row = { id: resource.id, ...(resource.attributes || {}) };
+        Object.entries(resource.relationships || {}).forEach(([name, relation]) => {
+            const resolve = (identifier) => {
+                if (!identifier) return null;
+                const full = included.get(`${identifier.type}:${identifier.id}`);
+                // Nested relationships are resolved one level deep, which also stops cycles
+                return full && depth < 1 ? DSTableAdapter._flatten(full, included, depth + 1) : { id: identifier.id };
+            };
+            if (Array.isArray(relation?.data)) row[name] = relation.data.map(resolve);
+            else if (relation && 'data' in relation) row[name] = resolve(relation.data);
+        });
+        return row;
+    }
+}
+export default DSTableAdapter;
@@ -0,0 +1,149 @@
+/**
+ * DSTableAutoRefresh
+ *
+ * Background polling for dashboards. Every `auto_refresh_interval` ms the current params are reloaded
+ * silently (no skeleton) with `loadData({ patch: true })`: rows are matched by `row_key` and only the ones
+ * that changed are re-rendered, then briefly highlighted. Selection, open detail rows and collapsed groups
+ * are kept because they are tracked by key.
+ *
+ * Polling waits while the tab is hidden (refreshing as soon as it is visible again), while a cell is
+ * being edited or saved, while a bulk action runs and while another load is in flight.
+ * Any other load restarts the countdown, so a poll never follows right after the user changed the view.
+ */
+export class DSTableAutoRefresh {
+    constructor(tableInstance) {
+        this.table = tableInstance;
+        this.table.registerModule('autoRefresh', this);
+
+        const config = this.table.config;
+        this.interval = Math.max(1000, parseInt(config.auto_refresh_interval) || 30000);
+        this.whenHidden = !!config.auto_refresh_when_hidden;
+        this.highlightClass = config.auto_refresh_highlight ?? 'bg-warning/20';
+        this.highlightDuration = config.auto_refresh_highlight_duration ?? 2000;
+
+        this.timer = null;
+        this.running = false;
+        // A poll was skipped while the tab was hidden
+        this.due = false;
+
+        this._init();
+    }
+
+    _init() {
+        // Pages are appended in load-more mode: a refresh of the current params would drop the earlier ones
+        if (this.table.modules.loadMore) {
+            console.warn('DSTableAutoRefresh: auto_refresh is not supported together with load_more');
+            return;
+        }
+
+        this._onVisibilityChange = () => {
+            if (!document.hidden && this.running && this.due) this._tick();
+        };
+        document.addEventListener('visibilitychange', this._onVisibilityChange);
+
+        this.table.on('rowsChanged', (e) => this._highlight(e.detail.rows));
+        this.table.on('loadError', () => this._schedule());
+
+        this.start();
+    }
+
+    /**
+     * Every completed load (refresh or not) starts a new countdown
+     */
+    onDataLoaded() {
+        this._schedule();
+    }
+
+    // ================= POLLING =================
+
+    _schedule(delay = this.interval) {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (!this.running) return;
+        this.timer = setTimeout(() => this._tick(), delay);
+    }
+
+    _tick() {
+        this.timer = null;
+        if (!this.running) return;
+
+        if (document.hidden && !this.whenHidden) {
+            // Picked up by the visibilitychange listener
+            this.due = true;
+            return;
+        }
+
+        if (this._isBusy()) {
+            // Try again shortly instead of waiting a full interval
+            this._schedule(Math.min(this.interval, 1000));
+            return;
+        }
+
+        this.refresh();
+    }
+
+    _isBusy() {
+        const modules = this.table.modules;
+        return this.table.isLoading ||
+            !!modules.inlineEdit?.isEditing() ||
+            !!modules.bulkActions?.running;
+    }
+
+    _highlight(rows) {
+        if (!this.highlightClass || !rows?.length) return;
+
+        const classes = ['ds-row-changed', ...String(this.highlightClass).split(/\s+/).filter(Boolean)];
+        rows.forEach(tr => {
+            tr.classList.add('transition-colors', ...classes);
+            setTimeout(() => tr.classList.remove(...classes), this.highlightDuration);
+        });
+    }
+
+    // ================= PUBLIC API =================
+
+    /**
+     * Reload the current page in the background now
+     */
+    refresh() {
+        this.due = false;
+        this.table._emit('autoRefresh', { params: { ...this.table.params } });
+        this.table.loadData({ patch: true });
+    }
+
+    /**
+     * Start (or resume) polling
+     */
+    start() {
+        this.running = true;
+        this._schedule();
+    }
+
+    /**
+     * Stop polling until start() is called
+     */
+    stop() {
+        this.running = false;
+        this.due = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    isRunning() {
+        return this.running;
+    }
+
+    /**
+     * Change the polling interval (ms) and restart the countdown
+     * @param {number} ms
+     */
+    setInterval(ms) {
+        this.interval = Math.max(1000, parseInt(ms) || this.interval);
+        this._schedule();
+    }
+
+    destroy() {
+        this.stop();
+        if (this._onVisibilityChange) document.removeEventListener('visibilitychange', this._onVisibilityChange);
+    }
+}
+export default DSTableAutoRefresh;
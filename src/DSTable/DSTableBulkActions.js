@@ -0,0 +1,363 @@
+import { DSAlert } from '../DSAlert.js';
+import DSTableHttp from './DSTableHttp.js';
+import DSTableTemplate from './DSTableTemplate.js';
+
+/**
+ * DSTableBulkActions
+ *
+ * Sticky toolbar shown while rows are selected (requires DSTableSelection).
+ * Each action sends the selected IDs to its endpoint, optionally after a DSAlert confirmation,
+ * in chunks of `bulk_chunk_size` with a progress bar. Afterwards the table is reloaded and the
+ * selection cleared; IDs that failed stay selected and are reported.
+ * When all rows matching the query are selected, one request carries `{ all: true, except, query }` instead.
+ *
+ * Action: { name, label, icon, class, url, method, param, data, confirm, chunkSize, onClick, onSuccess }
+ */
+export class DSTableBulkActions {
+    static translations = {
+        selected: '{count} selected',
+        selected_all: 'All matching rows selected',
+        all_count: 'all matching', // {count} when the number of matching rows is unknown
+        clear: 'Clear selection',
+        cancel: 'Cancel',
+        progress: 'Processing {done} of {total}...',
+        confirm_title: 'Are you sure?',
+        confirm_text: 'This action will be applied to {count} selected rows.',
+        confirm_button: 'Yes, continue',
+        cancel_button: 'Cancel',
+        success: '{count} rows updated.',
+        partial_title: 'Some rows could not be processed',
+        partial_text: '{failed} of {total} rows failed. They are still selected.',
+        error: 'The action failed.'
+    };
+
+    constructor(tableInstance) {
+        this.table = tableInstance;
+        this.table.registerModule('bulkActions', this);
+
+        const config = this.table.config;
+        this.actions = (config.bulk_actions || []).map(action => ({ method: 'POST', param: 'ids', ...action }));
+        this.chunkSize = config.bulk_chunk_size || 100;
+        this.translations = { ...DSTableBulkActions.translations, ...(config.bulk_translations || {}) };
+
+        this.bar = null;
+        this.running = null; // { action, all, cancelled }
+
+        this._init();
+    }
+
+    _init() {
+        if (!this.table.modules.selection) {
+            console.warn('DSTableBulkActions: The selection module is required');
+            return;
+        }
+
+        this.bar = this.table.wrapper.querySelector('.ds-table-bulk-actions');
+        if (!this.bar) {
+            this.bar = document.createElement('div');
+            this.bar.className = 'ds-table-bulk-actions';
+            this.table._insertAboveTable(this.bar);
+        }
+
+        this.bar.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-bulk-action], [data-bulk-clear], [data-bulk-cancel]');
+            if (!btn) return;
+            e.preventDefault();
+
+            if (btn.hasAttribute('data-bulk-clear')) this.table.modules.selection.clearAll();
+            else if (btn.hasAttribute('data-bulk-cancel')) this.cancel();
+            else this.run(btn.dataset.bulkAction);
+        });
+
+        this.table.on('selectionChange', () => this._render());
+        this._render();
+    }
+
+    // ================= RENDERING =================
+
+    _render(progress = null) {
+        if (!this.bar) return;
+
+        const count = this._getCount();
+        if (count === 0 && !this.running) {
+            this.bar.innerHTML = '';
+            this.bar.classList.add('hidden');
+            return;
+        }
+
+        const escape = DSTableTemplate.escape;
+        this.bar.classList.remove('hidden');
+
+        let content;
+        if (this.running) {
+            const text = progress
+                ? this.translations.progress.replace('{done}', progress.done).replace('{total}', progress.total)
+                : this.translations.progress.replace('{done}', 0).replace('{total}', count ?? this.translations.all_count);
+            content = `
+                <span class="loading loading-spinner loading-sm"></span>
+                <span class="text-sm">${escape(text)}</span>
+                <progress class="progress progress-primary w-40" value="${progress?.done || 0}" max="${progress?.total || count || 1}"></progress>
+                ${this.running.all ? '' : `<button type="button" class="btn btn-sm btn-ghost ml-auto" data-bulk-cancel${this.running.cancelled ? ' disabled' : ''}>${escape(this.translations.cancel)}</button>`}
+            `;
+        } else {
+            const buttons = this.actions.map(action => {
+                const icon = action.icon ? this.table._renderIcon(action.icon, 'text-base') : '';
+                return `<button type="button" class="${escape(action.class || 'btn btn-sm')}" data-bulk-action="${escape(action.name)}">${icon}${escape(action.label || action.name)}</button>`;
+            }).join('');
+
+            content = `
+                <span class="text-sm font-medium">${escape(this._countText(count))}</span>
+                <div class="flex flex-wrap items-center gap-2">${buttons}</div>
+                <button type="button" class="btn btn-sm btn-ghost ml-auto" data-bulk-clear>${escape(this.translations.clear)}</button>
+            `;
+        }
+
+        this.bar.innerHTML = `
+            <div class="sticky top-0 z-20 mb-2 flex flex-wrap items-center gap-3 rounded-box border border-base-300 bg-base-200 px-4 py-2 shadow-sm">
+                ${content}
+            </div>
+        `;
+    }
+
+    /**
+     * Selected row count, or null when every matching row is selected and the total is unknown
+     */
+    _getCount() {
+        const selection = this.table.modules.selection;
+        if (!selection) return 0;
+        return selection.isAllMatching() ? selection.getCount() : selection.getSelected().length;
+    }
+
+    _countText(count) {
+        return count === null ? this.translations.selected_all : this.translations.selected.replace('{count}', count.toLocaleString());
+    }
+
+    // ================= RUNNING =================
+
+    /**
+     * Run an action for the current selection
+     * @param {string} name - Action name
+     * @returns {Promise<{succeeded: string[], failed: string[], errors: Object, cancelled: boolean}|null>} null when nothing ran or the action threw
+     */
+    async run(name) {
+        const action = this.actions.find(a => a.name === name);
+        const selection = this.table.modules.selection;
+        if (!action || !selection || this.running) return null;
+
+        const all = selection.isAllMatching();
+        const ids = all ? [] : selection.getSelected();
+        if (!all && ids.length === 0) return null;
+
+        const count = this._getCount();
+        if (action.confirm && !(await this._confirm(action, count ?? this.translations.all_count))) return null;
+
+        try {
+            // Custom handler instead of an endpoint (e.g. "Export selected")
+            if (typeof action.onClick === 'function' && !action.url) {
+                await action.onClick(ids, this.table, selection.getPayload());
+                return { succeeded: ids, failed: [], errors: {}, cancelled: false };
+            }
+
+            this.running = { action, all, cancelled: false };
+            this._render();
+            this.table._emit('bulkActionStart', { action: action.name, ids, payload: selection.getPayload() });
+
+            const result = all
+                ? await this._processAll(action, selection.getPayload(), count)
+                : await this._process(action, ids);
+
+            this.running = null;
+            this._finish(action, ids, result);
+            return result;
+        } catch (error) {
+            console.error('DSTableBulkActions: Action failed', error);
+            this.table._emit('bulkActionError', { action: action.name, ids, error });
+            DSAlert.fire({ title: this.translations.error, text: error?.message || '', icon: 'error' });
+            return null;
+        } finally {
+            if (this.running) {
+                this.running = null;
+                this._render();
+            }
+        }
+    }
+
+    /**
+     * Stop after the chunk currently being sent. Unsent IDs stay selected.
+     * A chunk already sent is never aborted: the server may have applied it, and a retry would apply it twice.
+     * The single "all matching" request cannot be cancelled.
+     */
+    cancel() {
+        if (!this.running) return;
+        this.running.cancelled = true;
+        this.bar?.querySelector('[data-bulk-cancel]')?.setAttribute('disabled', '');
+    }
+
+    async _process(action, ids) {
+        const size = action.chunkSize || this.chunkSize;
+        const succeeded = [];
+        const failed = [];
+        const errors = {}; // message => ids
+        let cancelled = false;
+
+        for (let start = 0; start < ids.length; start += size) {
+            if (this.running?.cancelled) {
+                cancelled = true;
+                break;
+            }
+
+            const chunk = ids.slice(start, start + size);
+            try {
+                const { ok, data } = await this._send(action, chunk);
+                if (!ok) throw Object.assign(new Error(data?.message || this.translations.error), { data });
+
+                // The endpoint may report IDs it could not process: { failed: [...] }
+                const rejected = new Set((Array.isArray(data?.failed) ? data.failed : []).map(String));
+                chunk.forEach(id => (rejected.has(String(id)) ? failed : succeeded).push(id));
+                if (rejected.size > 0) this._addError(errors, data?.message || this.translations.error, [...rejected]);
+            } catch (error) {
+                failed.push(...chunk);
+                this._addError(errors, error?.data?.message || error?.message || this.translations.error, chunk);
+            }
+
+            const done = Math.min(start + size, ids.length);
+            this._render({ done, total: ids.length });
+            this.table._emit('bulkActionProgress', { action: action.name, done, total: ids.length });
+        }
+
+        return { succeeded, failed, errors, cancelled };
+    }
+
+    /**
+     * "All matching" selection: a single request the server turns back into the query
+     */
+    async _processAll(action, payload, count) {
+        const errors = {};
+        try {
+            const { ok, data } = await this._send(action, payload);
+            if (!ok) throw Object.assign(new Error(data?.message || this.translations.error), { data });
+
+            const failed = (Array.isArray(data?.failed) ? data.failed : []).map(String);
+            if (failed.length > 0) this._addError(errors, data?.message || this.translations.error, failed);
+            return { succeeded: [], failed, errors, cancelled: false, all: true, count: data?.count ?? count };
+        } catch (error) {
+            this._addError(errors, error?.data?.message || error?.message || this.translations.error, []);
+            return { succeeded: [], failed: [], errors, cancelled: false, all: true, count: 0, error: true };
+        }
+    }
+
+    _finish(action, ids, result) {
+        const selection = this.table.modules.selection;
+        const { succeeded, failed, errors, cancelled } = result;
+
+        if (result.all) {
+            this._finishAll(action, result);
+            return;
+        }
+
+        // Keep failed and unsent IDs selected so the action can be retried
+        const processed = new Set([...succeeded, ...failed].map(String));
+        const remaining = [...failed, ...ids.filter(id => !processed.has(String(id)))];
+        if (remaining.length > 0) selection.setSelected(remaining);
+        else selection.clearAll();
+
+        this._render();
+
+        if (succeeded.length > 0 && action.refresh !== false) this.table.loadData();
+
+        if (failed.length > 0) {
+            const messages = Object.keys(errors).map(message => `<li>${DSTableTemplate.escape(message)}</li>`).join('');
+            DSAlert.fire({
+                title: this.translations.partial_title,
+                html: `<p class="text-sm">${DSTableTemplate.escape(this.translations.partial_text.replace('{failed}', failed.length).replace('{total}', ids.length))}</p>` +
+                    (messages ? `<ul class="list-disc pl-5 mt-2 text-sm">${messages}</ul>` : ''),
+                icon: 'error'
+            });
+        } else if (succeeded.length > 0) {
+            DSAlert.fire({
+                toast: true,
+                icon: 'success',
+                title: action.successMessage || this.translations.success.replace('{count}', succeeded.length),
+                showConfirmButton: false,
+                timer: 3000,
+                timerProgressBar: true
+            });
+        }
+
+        if (typeof action.onSuccess === 'function' && succeeded.length > 0) action.onSuccess(succeeded, result);
+        this.table._emit('bulkActionComplete', { action: action.name, ...result });
+    }
+
+    _finishAll(action, result) {
+        const selection = this.table.modules.selection;
+        const { failed, errors } = result;
+
+        // A failed request keeps the "all matching" selection for a retry
+        if (!result.error && !result.cancelled) {
+            if (failed.length > 0) selection.setSelected(failed);
+            else selection.clearAll();
+            if (action.refresh !== false) this.table.loadData();
+        }
+        this._render();
+
+        if (result.error || failed.length > 0) {
+            const messages = Object.keys(errors).map(message => `<li>${DSTableTemplate.escape(message)}</li>`).join('');
+            const text = failed.length > 0
+                ? `<p class="text-sm">${DSTableTemplate.escape(this.translations.partial_text.replace('{failed}', failed.length).replace('{total}', result.count ?? this.translations.all_count))}</p>`
+                : '';
+            DSAlert.fire({
+                title: failed.length > 0 ? this.translations.partial_title : this.translations.error,
+                html: text + (messages ? `<ul class="list-disc pl-5 mt-2 text-sm">${messages}</ul>` : ''),
+                icon: 'error'
+            });
+        } else if (!result.cancelled) {
+            DSAlert.fire({
+                toast: true,
+                icon: 'success',
+                title: action.successMessage || this.translations.success.replace('{count}', result.count ?? this.translations.all_count),
+                showConfirmButton: false,
+                timer: 3000,
+                timerProgressBar: true
+            });
+            if (typeof action.onSuccess === 'function') action.onSuccess([], result);
+        }
+
+        this.table._emit('bulkActionComplete', { action: action.name, ...result });
+    }
+
+    _addError(errors, message, ids) {
+        if (!errors[message]) errors[message] = [];
+        errors[message].push(...ids);
+    }
+
+    async _confirm(action, count) {
+        const options = typeof action.confirm === 'object' ? action.confirm : {};
+        const text = (options.text || this.translations.confirm_text).replace('{count}', count);
+
+        const result = await DSAlert.fire({
+            title: options.title || this.translations.confirm_title,
+            text,
+            icon: options.icon || 'warning',
+            showCancelButton: true,
+            confirmButtonText: options.confirmButtonText || this.translations.confirm_button,
+            cancelButtonText: options.cancelButtonText || this.translations.cancel_button,
+            ...(options.confirmButtonColor ? { confirmButtonColor: options.confirmButtonColor } : {})
+        });
+        return !!result?.isConfirmed;
+    }
+
+    /**
+     * Send one chunk: `{ [param]: ids, ...data }`, or the selection payload (`{ all, except, query, ...data }`)
+     * @param {Object} action
+     * @param {Array|Object} selection - Chunk of IDs, or the "all matching" payload
+     */
+    async _send(action, selection) {
+        const ids = Array.isArray(selection) ? selection : [];
+        const extra = typeof action.data === 'function' ? action.data(ids, this.table) : (action.data || {});
+        const payload = Array.isArray(selection) ? { ...extra, [action.param]: selection } : { ...extra, ...selection };
+        const method = action.method.toUpperCase();
+
+        return DSTableHttp.request(this.table, method, action.url, payload);
+    }
+}
+export default DSTableBulkActions;
@@ -0,0 +1,241 @@
+import DSTableQuery from './DSTableQuery.js';
+
+/**
+ * DSTableCache
+ *
+ * Client-side response cache for Ajax tables, keyed by the serialized request (URL + params).
+ * Paging back to a cached page renders it at once; when the entry is older than `cache_revalidate_after`
+ * the page is then reloaded in the background and only the rows that changed are re-rendered
+ * (stale-while-revalidate). Entries expire after `cache_ttl`; the least recently used ones are dropped
+ * beyond `cache_max_entries`.
+ *
+ * With `cache_prefetch`, the next page is fetched in idle time after each load, so "Next" is instant too.
+ *
+ * Data changes invalidate the cache: inline edits, bulk actions and the document events in
+ * `cache_invalidate_on` (by default DSDelete, DSRestore and DSForm successes). Call invalidate() after any other change.
+ */
+export class DSTableCache {
+    constructor(tableInstance) {
+        this.table = tableInstance;
+        this.table.registerModule('cache', this);
+
+        const config = this.table.config;
+        this.ttl = Math.max(0, parseInt(config.cache_ttl ?? 300000) || 0);
+        this.maxEntries = Math.max(1, parseInt(config.cache_max_entries) || 50);
+        this.revalidateAfter = Math.max(0, parseInt(config.cache_revalidate_after ?? 5000) || 0);
+        this.prefetchNext = !!config.cache_prefetch;
+        this.invalidateOn = Array.isArray(config.cache_invalidate_on) ? config.cache_invalidate_on : [];
+
+        // key => { params, response, time }, in least recently used order
+        this.entries = new Map();
+        // key => Promise of a prefetch in flight
+        this.pending = new Map();
+        // Bumped by invalidate(): responses requested before it are not stored
+        this.generation = 0;
+
+        this._init();
+    }
+
+    _init() {
+        // Changes made through the table itself
+        this.table.on('cellEdited', () => this.invalidate());
+        this.table.on('bulkActionStart', () => this.invalidate());
+
+        this._onInvalidateEvent = () => this.invalidate();
+        this.invalidateOn.forEach(event => document.addEventListener(event, this._onInvalidateEvent));
+    }
+
+    /**
+     * Prefetch the next page once the browser is idle
+     */
+    onDataLoaded(response, context = {}) {
+        if (!this.prefetchNext || context.patch) return;
+
+        const next = this._nextParams();
+        if (!next) return;
+
+        const idle = window.requestIdleCallback || ((callback) => setTimeout(callback, 200));
+        idle(() => this.prefetch(next));
+    }
+
+    // ================= ENTRIES =================
+
+    /**
+     * Cache key: the request URL and data (after `ajax_adapter` mapping), with object keys sorted
+     */
+    _key(params) {
+        const sorted = (value) => {
+            if (Array.isArray(value)) return value.map(sorted);
+            if (value && typeof value === 'object') {
+                return Object.keys(value).sort().reduce((result, key) => {
+                    result[key] = sorted(value[key]);
+                    return result;
+                }, {});
+            }
+            return value;
+        };
+        const data = { ...this.table.config.ajax_data, ...this.table.adapter.request({ ...params }, this.table) };
+        return `${this.table.config.ajax_url}?${DSTableQuery.stringify(sorted(data))}`;
+    }
+
+    _isExpired(entry) {
+        return Date.now() - entry.time > this.ttl;
+    }
+
+    _nextParams() {
+        const meta = this.table.meta || {};
+        const params = this.table.params;
+        const page = parseInt(params.page) || 1;
+
+        if (meta.next_cursor !== undefined) {
+            return meta.next_cursor ? { ...params, page: page + 1, cursor: meta.next_cursor } : null;
+        }
+        if (meta.last_page !== undefined && meta.last_page !== null) {
+            return page < parseInt(meta.last_page) ? { ...params, page: page + 1 } : null;
+        }
+        return meta.next_page_url ? { ...params, page: page + 1 } : null;
+    }
+
+    /**
+     * Reload the current page in the background if it is still the one on screen
+     */
+    _revalidate(key) {
+        setTimeout(() => {
+            if (this.table.isLoading || this._key(this.table.params) !== key) return;
+            this.table._emit('cacheRevalidate', { params: { ...this.table.params } });
+            this.table.loadData({ patch: true });
+        }, 0);
+    }
+
+    // ================= PUBLIC API =================
+
+    /**
+     * Cached response for params. Starts a background revalidation when the entry is older than `cache_revalidate_after`.
+     * @param {Object} params
+     * @returns {Object|null}
+     */
+    get(params) {
+        const key = this._key(params);
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        if (this._isExpired(entry)) {
+            this.entries.delete(key);
+            return null;
+        }
+
+        // Most recently used last
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+
+        // Load more appends pages: a patch load of one page would replace the others
+        if (Date.now() - entry.time >= this.revalidateAfter && !this.table.modules.loadMore) this._revalidate(key);
+        return entry.response;
+    }
+
+    /**
+     * Store a response for params
+     * @param {Object} params
+     * @param {Object} response
+     */
+    set(params, response) {
+        const key = this._key(params);
+        this.entries.delete(key);
+        this.entries.set(key, { params: { ...params }, response, time: Date.now() });
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Fetch params from the server and cache the response. Reuses a prefetch of the same page still in flight.
+     * @param {Object} params
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<Object>}
+     */
+    async fetch(params, signal) {
+        const pending = this.pending.get(this._key(params));
+        if (pending) {
+            const response = await pending;
+            if (response) return response;
+        }
+
+        const generation = this.generation;
+        const response = await this.table._fetchData(params, signal);
+        if (generation === this.generation) this.set(params, response);
+        return response;
+    }
+
+    /**
+     * Fetch params into the cache without rendering (skipped when a fresh entry or a request for them exists)
+     * @param {Object} params
+     * @returns {Promise<Object|null>}
+     */
+    prefetch(params) {
+        const key = this._key(params);
+        const entry = this.entries.get(key);
+        if (entry && Date.now() - entry.time < this.revalidateAfter) return Promise.resolve(entry.response);
+        if (this.pending.has(key)) return this.pending.get(key);
+
+        const generation = this.generation;
+        const request = this.table._fetchData(params)
+            .then(response => {
+                if (generation === this.generation) this.set(params, response);
+                return response;
+            })
+            .catch(e => {
+                console.warn('DSTableCache: Failed to prefetch', e);
+                return null;
+            })
+            .finally(() => this.pending.delete(key));
+
+        this.pending.set(key, request);
+        return request;
+    }
+
+    /**
+     * Drop cached responses: all of them, those whose params contain every value of `match`
+     * (e.g. `{ filters: { status: 'draft' } }`), or those a `(params) => boolean` predicate selects
+     * @param {Object|Function} [match]
+     * @returns {number} Number of entries removed
+     */
+    invalidate(match) {
+        let removed = 0;
+
+        if (match === undefined || match === null) {
+            removed = this.entries.size;
+            this.entries.clear();
+            this.pending.clear();
+            this.generation++;
+        } else {
+            const contains = (actual, expected) => (expected && typeof expected === 'object' && !Array.isArray(expected))
+                ? Object.entries(expected).every(([key, value]) => contains(actual?.[key], value))
+                : JSON.stringify(actual) === JSON.stringify(expected);
+            const test = typeof match === 'function' ? match : (params) => contains(params, match);
+
+            Array.from(this.entries.entries()).forEach(([key, entry]) => {
+                if (!test(entry.params)) return;
+                this.entries.delete(key);
+                removed++;
+            });
+        }
+
+        this.table._emit('cacheInvalidate', { removed });
+        return removed;
+    }
+
+    /**
+     * Number of cached responses
+     * @returns {number}
+     */
+    size() {
+        return this.entries.size;
+    }
+
+    destroy() {
+        this.invalidateOn.forEach(event => document.removeEventListener(event, this._onInvalidateEvent));
+        this.invalidate();
+    }
+}
+export default DSTableCache;
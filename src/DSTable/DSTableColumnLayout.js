@@ -0,0 +1,273 @@
+/**
+ * DSTableColumnLayout
+ *
+ * Drag header borders to resize columns (`column_resize`) and drag headers to reorder them (`column_reorder`).
+ * Cells of rendered rows follow the header order; widths live on the `th` and survive re-renders.
+ *
+ * The layout is a plain object, so it can be stored anywhere (e.g. per user on the backend):
+ *   { order: ['name', 'email', ...], widths: { name: 240 } }
+ *
+ * Headers opt out with `data-resizable="false"` / `data-reorderable="false"`.
+ */
+export class DSTableColumnLayout {
+    constructor(tableInstance) {
+        this.table = tableInstance;
+        this.table.registerModule('columnLayout', this);
+
+        const config = this.table.config;
+        this.resizable = !!config.column_resize;
+        this.reorderable = !!config.column_reorder;
+        this.minWidth = config.column_min_width ?? 50;
+
+        // Column keys as rendered by the row template, and as currently displayed
+        this.originalOrder = [];
+        this.order = [];
+        this.widths = {};
+
+        // Current cell order of every row that has been rearranged
+        this._rowOrders = new WeakMap();
+        this._resizing = null;
+        this._dragKey = null;
+        this._suppressClick = false;
+
+        this._init();
+    }
+
+    _init() {
+        this.originalOrder = this.table.getHeaderCells().map(th => th.dataset.dsColumn);
+        this.order = [...this.originalOrder];
+
+        this.table.getHeaderCells().forEach(th => {
+            if (this.resizable && th.dataset.resizable !== 'false') this._addResizer(th);
+            if (this.reorderable && th.dataset.reorderable !== 'false') this._makeDraggable(th);
+        });
+
+        // A resize or drag that ends over a header must not trigger its sort click
+        this.table.table.addEventListener('click', (e) => {
+            if (!this._suppressClick) return;
+            this._suppressClick = false;
+            e.preventDefault();
+            e.stopPropagation();
+        }, true);
+
+        if (this.table.config.column_layout) {
+            this.setLayout(this.table.config.column_layout, { silent: true });
+        }
+
+        // Fresh rows are built in template order
+        this.table.on('render', () => this._applyOrder());
+    }
+
+    // ================= ORDER =================
+
+    /**
+     * Rearrange the cells of every row to match `this.order`.
+     * Rows with spanning cells (empty / error messages) are left untouched.
+     */
+    _applyOrder() {
+        Array.from(this.table.table.rows).forEach(row => {
+            const cells = Array.from(row.cells);
+            if (cells.length !== this.originalOrder.length) return;
+            if (cells.some(cell => cell.colSpan > 1 || cell.hasAttribute('colspan'))) return;
+
+            const current = this._rowOrders.get(row) || this.originalOrder;
+            if (current.join('\u0000') === this.order.join('\u0000')) return;
+
+            const byKey = new Map(current.map((key, i) => [key, cells[i]]));
+            this.order.forEach(key => row.appendChild(byKey.get(key)));
+            this._rowOrders.set(row, [...this.order]);
+        });
+
+        if (this.table.modules.columnVisibility) this.table.modules.columnVisibility.apply();
+    }
+
+    /**
+     * Known keys in the requested order, followed by any columns the order does not mention
+     */
+    _normalizeOrder(order) {
+        const known = (order || []).map(String).filter((key, i, all) => this.originalOrder.includes(key) && all.indexOf(key) === i);
+        return [...known, ...this.originalOrder.filter(key => !known.includes(key))];
+    }
+
+    _makeDraggable(th) {
+        th.draggable = true;
+        th.classList.add('cursor-move');
+
+        th.addEventListener('dragstart', (e) => {
+            if (this._resizing) {
+                e.preventDefault();
+                return;
+            }
+            this._dragKey = th.dataset.dsColumn;
+            th.classList.add('opacity-50');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', this._dragKey);
+        });
+
+        th.addEventListener('dragover', (e) => {
+            if (!this._dragKey || th.dataset.reorderable === 'false') return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            this._markDropTarget(th, this._dropAfter(th, e));
+        });
+
+        th.addEventListener('dragleave', () => this._markDropTarget(null));
+
+        th.addEventListener('drop', (e) => {
+            if (!this._dragKey || th.dataset.reorderable === 'false') return;
+            e.preventDefault();
+
+            const target = th.dataset.dsColumn;
+            const after = this._dropAfter(th, e);
+            this._markDropTarget(null);
+            if (target === this._dragKey) return;
+
+            const order = this.order.filter(key => key !== this._dragKey);
+            order.splice(order.indexOf(target) + (after ? 1 : 0), 0, this._dragKey);
+            this.setOrder(order);
+        });
+
+        th.addEventListener('dragend', () => {
+            th.classList.remove('opacity-50');
+            this._markDropTarget(null);
+            this._dragKey = null;
+        });
+    }
+
+    _dropAfter(th, e) {
+        const rect = th.getBoundingClientRect();
+        return e.clientX > rect.left + rect.width / 2;
+    }
+
+    _markDropTarget(th, after = false) {
+        this.table.getHeaderCells().forEach(cell => {
+            cell.classList.remove('border-l-2', 'border-r-2', 'border-primary');
+        });
+        if (th) th.classList.add(after ? 'border-r-2' : 'border-l-2', 'border-primary');
+    }
+
+    // ================= RESIZE =================
+
+    _addResizer(th) {
+        th.classList.add('relative');
+
+        const handle = document.createElement('span');
+        handle.className = 'ds-column-resizer absolute top-0 right-0 h-full w-1.5 cursor-col-resize select-none hover:bg-primary/40';
+        handle.setAttribute('aria-hidden', 'true');
+        th.appendChild(handle);
+
+        handle.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+
+            this._resizing = { th, startX: e.clientX, startWidth: th.getBoundingClientRect().width };
+            handle.setPointerCapture?.(e.pointerId);
+            document.body.classList.add('select-none', 'cursor-col-resize');
+        });
+
+        handle.addEventListener('pointermove', (e) => {
+            if (!this._resizing || this._resizing.th !== th) return;
+            const width = Math.max(this.minWidth, this._resizing.startWidth + e.clientX - this._resizing.startX);
+            this._setWidth(th, width);
+        });
+
+        const finish = () => {
+            if (!this._resizing || this._resizing.th !== th) return;
+            this._resizing = null;
+            this._suppressClick = true;
+            // The click (if any) fires right after pointerup; don't swallow a later, unrelated one
+            setTimeout(() => { this._suppressClick = false; }, 0);
+            document.body.classList.remove('select-none', 'cursor-col-resize');
+
+            const key = th.dataset.dsColumn;
+            this.widths[key] = Math.round(th.getBoundingClientRect().width);
+            this.table._emit('columnResize', { key, width: this.widths[key] });
+            this._changed();
+        };
+
+        handle.addEventListener('pointerup', finish);
+        handle.addEventListener('pointercancel', finish);
+    }
+
+    _setWidth(th, width) {
+        const value = width ? `${width}px` : '';
+        th.style.width = value;
+        th.style.minWidth = value;
+        th.style.maxWidth = value;
+    }
+
+    _applyWidths() {
+        this.table.getHeaderCells().forEach(th => {
+            this._setWidth(th, this.widths[th.dataset.dsColumn] || null);
+        });
+    }
+
+    _changed() {
+        this.table._emit('layoutChange', { layout: this.getLayout() });
+    }
+
+    // ================= PUBLIC API =================
+
+    /**
+     * Current layout
+     * @returns {{order: string[], widths: Object<string, number>}}
+     */
+    getLayout() {
+        return { order: [...this.order], widths: { ...this.widths } };
+    }
+
+    /**
+     * Restore a layout from `getLayout()`. Unknown keys are ignored.
+     * @param {{order?: string[], widths?: Object<string, number>}} layout
+     * @param {Object} [options]
+     * @param {boolean} [options.silent] - Don't emit `layoutChange`
+     */
+    setLayout(layout, options = {}) {
+        this.order = this._normalizeOrder(layout?.order || this.order);
+        this.widths = {};
+        Object.entries(layout?.widths || {}).forEach(([key, width]) => {
+            if (this.originalOrder.includes(key) && Number(width) > 0) {
+                this.widths[key] = Math.max(this.minWidth, Number(width));
+            }
+        });
+
+        this._applyWidths();
+        this._applyOrder();
+        if (!options.silent) this._changed();
+    }
+
+    /**
+     * Move columns into a new order
+     * @param {string[]} order - Column keys
+     */
+    setOrder(order) {
+        this.order = this._normalizeOrder(order);
+        this._applyOrder();
+        this.table._emit('columnReorder', { order: [...this.order] });
+        this._changed();
+    }
+
+    /**
+     * Set one column's width in pixels (`null` restores the automatic width)
+     * @param {string} key
+     * @param {number|null} width
+     */
+    setWidth(key, width) {
+        const th = this.table.getHeaderCells().find(cell => cell.dataset.dsColumn === key);
+        if (!th) return;
+
+        if (width) this.widths[key] = Math.max(this.minWidth, Number(width));
+        else delete this.widths[key];
+
+        this._setWidth(th, this.widths[key] || null);
+        this._changed();
+    }
+
+    /**
+     * Template order and automatic widths
+     */
+    reset() {
+        this.setLayout({ order: this.originalOrder, widths: {} });
+    }
+}
+export default DSTableColumnLayout;
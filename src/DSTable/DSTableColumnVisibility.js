@@ -0,0 +1,246 @@
+import DSTableTemplate from './DSTableTemplate.js';
+
+/**
+ * DSTableColumnVisibility
+ *
+ * Column chooser: a DaisyUI dropdown with one checkbox per header cell.
+ * Hidden columns get the `hidden` attribute on their `th` / `td` cells, re-applied on every render,
+ * and the choice is persisted per table in localStorage (or sessionStorage).
+ *
+ * Columns are identified by `th[data-key]`, then `th[data-sort]`, then `col_{index}` (see `DSTable.getHeaderCells`).
+ * Header cells with `data-hideable="false"` or without a label (e.g. the select-all checkbox) are not listed.
+ */
+export class DSTableColumnVisibility {
+    static translations = {
+        button: 'Columns',
+        reset: 'Reset'
+    };
+
+    constructor(tableInstance) {
+        this.table = tableInstance;
+        this.table.registerModule('columnVisibility', this);
+
+        const config = this.table.config;
+        this.persist = config.column_visibility_persist ?? true;
+        this.storageType = config.column_visibility_storage ?? 'localStorage'; // 'localStorage' or 'sessionStorage'
+        this.storageKey = config.column_visibility_storage_key ?? `dstable_columns_${this._getTableIdentifier()}`;
+        this.translations = { ...DSTableColumnVisibility.translations, ...(config.column_visibility_translations || {}) };
+
+        // Column keys hidden by default, restored by reset()
+        this.defaultHidden = (config.column_visibility_hidden || []).map(String);
+        this.hidden = new Set(this.defaultHidden);
+
+        this.columns = [];
+        this.container = null;
+
+        if (this.persist) {
+            this._loadFromStorage();
+        }
+
+        this._init();
+    }
+
+    /**
+     * Generate a unique identifier for this table instance
+     */
+    _getTableIdentifier() {
+        return this.table.wrapper.id ||
+            this.table.config.ajax_url ||
+            window.location.pathname.replace(/\//g, '_');
+    }
+
+    _init() {
+        this.columns = this._readColumns();
+
+        this.container = this.table.wrapper.querySelector('.ds-table-columns');
+        if (!this.container) {
+            this.container = document.createElement('div');
+            this.container.className = 'ds-table-columns flex justify-end mb-2';
+            this.table.wrapper.insertBefore(this.container, this.table.wrapper.firstChild);
+        }
+
+        this.container.addEventListener('change', (e) => {
+            const checkbox = e.target.closest('input[data-column]');
+            if (!checkbox) return;
+            this.toggle(checkbox.dataset.column, checkbox.checked);
+        });
+
+        this.container.addEventListener('click', (e) => {
+            if (!e.target.closest('[data-column-reset]')) return;
+            e.preventDefault();
+            this.reset();
+        });
+
+        this._renderMenu();
+        this.apply();
+
+        // Rows rendered later (pages, appended pages) need the same cells hidden
+        this.table.on('render', () => this.apply());
+    }
+
+    /**
+     * Columns from the first header row: [{ key, label, hideable }]
+     */
+    _readColumns() {
+        return this.table.getHeaderCells().map(th => {
+            const label = this.table.getHeaderLabel(th);
+            return {
+                key: th.dataset.dsColumn,
+                label,
+                hideable: th.dataset.hideable !== 'false' && label !== ''
+            };
+        });
+    }
+
+    // ================= RENDERING =================
+
+    _renderMenu() {
+        const escape = DSTableTemplate.escape;
+        const items = this.columns.filter(col => col.hideable).map(col => `
+            <li>
+                <label class="flex items-center gap-2 cursor-pointer">
+                    <input type="checkbox" class="checkbox checkbox-sm" data-column="${escape(col.key)}" ${this.hidden.has(col.key) ? '' : 'checked'}>
+                    <span>${escape(col.label)}</span>
+                </label>
+            </li>
+        `).join('');
+
+        const icon = this.table._renderIcon(this.table.config.column_visibility_icon || 'view_column', 'text-lg');
+
+        this.container.innerHTML = `
+            <div class="dropdown dropdown-end">
+                <div tabindex="0" role="button" class="btn btn-sm btn-ghost gap-1">${icon}${escape(this.translations.button)}</div>
+                <ul tabindex="0" class="dropdown-content menu bg-base-100 rounded-box z-10 w-56 p-2 shadow-sm border border-base-200">
+                    ${items}
+                    <li class="mt-1 border-t border-base-200 pt-1"><button type="button" data-column-reset>${escape(this.translations.reset)}</button></li>
+                </ul>
+            </div>
+        `;
+    }
+
+    /**
+     * Hide / show the cells of every column in thead, tbody and tfoot.
+     * Rows with spanning cells (empty / error messages) are left untouched.
+     */
+    apply() {
+        // Positions follow the current header order (columns may have been reordered)
+        const hiddenIndexes = new Set();
+        this.table.getHeaderCells().forEach((th, index) => {
+            if (this.hidden.has(th.dataset.dsColumn)) hiddenIndexes.add(index);
+        });
+
+        Array.from(this.table.table.rows).forEach(row => {
+            const cells = Array.from(row.cells);
+            if (cells.some(cell => cell.colSpan > 1 || cell.hasAttribute('colspan'))) return;
+
+            cells.forEach((cell, index) => {
+                cell.hidden = hiddenIndexes.has(index);
+            });
+        });
+    }
+
+    _syncCheckboxes() {
+        this.container.querySelectorAll('input[data-column]').forEach(checkbox => {
+            checkbox.checked = !this.hidden.has(checkbox.dataset.column);
+        });
+    }
+
+    _changed() {
+        this._syncCheckboxes();
+        this.apply();
+        this._saveToStorage();
+        this.table._emit('columnVisibilityChange', { hidden: this.getHidden(), visible: this.getVisible() });
+    }
+
+    // ==================== STORAGE ====================
+
+    _saveToStorage() {
+        if (!this.persist) return;
+
+        try {
+            const storage = this.storageType === 'sessionStorage' ? sessionStorage : localStorage;
+            storage.setItem(this.storageKey, JSON.stringify(Array.from(this.hidden)));
+        } catch (e) {
+            console.warn('DSTableColumnVisibility: Failed to save to storage', e);
+        }
+    }
+
+    _loadFromStorage() {
+        try {
+            const storage = this.storageType === 'sessionStorage' ? sessionStorage : localStorage;
+            const saved = storage.getItem(this.storageKey);
+
+            if (saved) {
+                const keys = JSON.parse(saved);
+                if (Array.isArray(keys)) {
+                    this.hidden = new Set(keys.map(String));
+                }
+            }
+        } catch (e) {
+            console.warn('DSTableColumnVisibility: Failed to load from storage', e);
+        }
+    }
+
+    // ==================== PUBLIC API ====================
+
+    /**
+     * Show or hide a column
+     * @param {string} key
+     * @param {boolean} [visible] - Defaults to flipping the current state
+     */
+    toggle(key, visible) {
+        const column = this.columns.find(col => col.key === String(key));
+        if (!column) return;
+
+        const show = visible ?? this.hidden.has(column.key);
+        if (show) this.hidden.delete(column.key);
+        else this.hidden.add(column.key);
+
+        this._changed();
+    }
+
+    show(key) {
+        this.toggle(key, true);
+    }
+
+    hide(key) {
+        this.toggle(key, false);
+    }
+
+    /**
+     * Replace the hidden columns
+     * @param {string[]} keys
+     */
+    setHidden(keys) {
+        this.hidden = new Set(keys.map(String));
+        this._changed();
+    }
+
+    /**
+     * Keys of hidden columns
+     * @returns {string[]}
+     */
+    getHidden() {
+        return this.columns.filter(col => this.hidden.has(col.key)).map(col => col.key);
+    }
+
+    /**
+     * Keys of visible columns, in table order
+     * @returns {string[]}
+     */
+    getVisible() {
+        return this.columns.filter(col => !this.hidden.has(col.key)).map(col => col.key);
+    }
+
+    isVisible(key) {
+        return !this.hidden.has(String(key));
+    }
+
+    /**
+     * Back to `column_visibility_hidden`
+     */
+    reset() {
+        this.setHidden(this.defaultHidden);
+    }
+}
+export default DSTableColumnVisibility;
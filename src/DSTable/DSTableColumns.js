@@ -0,0 +1,311 @@
+import DSTableTemplate from './DSTableTemplate.js';
+
+/**
+ * DSTableColumns
+ *
+ * Declarative column definitions. Builds `<thead>` from the `columns` config and renders
+ * each row's `<td>`s with typed formatters. Values are HTML-escaped unless a column sets `html: true`.
+ *
+ * Column: { key, title, type, formatter, sortable, sortKey, class, headerClass, html, placeholder, editable, ... }
+ * Types: text | number | currency | date | relative-time | badge | boolean | image | link | actions | selection | expand
+ */
+export class DSTableColumns {
+    // URL schemes allowed in link / image / action URLs (relative URLs are always allowed)
+    static safeSchemes = ['http', 'https', 'mailto', 'tel'];
+
+    constructor(tableInstance) {
+        this.table = tableInstance;
+        this.table.registerModule('columns', this);
+
+        this.columns = (this.table.config.columns || []).map(col => this._normalize(col));
+        this.locale = this.table.config.columns_locale || undefined;
+        this.currency = this.table.config.columns_currency || 'USD';
+
+        // Intl formatters are relatively expensive to create; cache them per column
+        this._formatters = new Map();
+
+        this._init();
+    }
+
+    _init() {
+        this._buildHeader();
+
+        // Action buttons (type: 'actions')
+        this.table.tbody?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-ds-action]');
+            if (!btn || !this.table.tbody.contains(btn)) return;
+
+            const tr = btn.closest('tr');
+            const index = parseInt(tr?.dataset.dsIndex);
+            const row = this.table.data[index];
+            if (!row) return;
+
+            const column = this.columns.find(col => col.key === btn.dataset.dsColumn);
+            const action = column?.actions?.find(a => a.name === btn.dataset.dsAction);
+
+            if (action && typeof action.onClick === 'function') {
+                e.preventDefault();
+                action.onClick(row, index, e);
+            }
+            this.table._emit('action', { action: btn.dataset.dsAction, row, index });
+        });
+    }
+
+    _normalize(column) {
+        if (typeof column === 'string') column = { key: column };
+        return {
+            type: 'text',
+            title: column.key,
+            ...column
+        };
+    }
+
+    // ================= HEADER =================
+
+    _buildHeader() {
+        const table = this.table.table;
+        let thead = table.querySelector('thead');
+        if (!thead) {
+            thead = document.createElement('thead');
+            table.insertBefore(thead, table.firstChild);
+        }
+
+        const ths = this.columns.map(col => {
+            const attrs = [`data-key="${this.escape(col.key || '')}"`];
+            if (col.sortable) attrs.push(`data-sort="${this.escape(col.sortKey || col.key)}"`);
+            if (col.headerClass) attrs.push(`class="${this.escape(col.headerClass)}"`);
+            if (col.width) attrs.push(`style="width: ${this.escape(String(col.width))}"`);
+            if (col.hideable === false) attrs.push('data-hideable="false"');
+            if (col.resizable === false) attrs.push('data-resizable="false"');
+            if (col.reorderable === false) attrs.push('data-reorderable="false"');
+
+            if (col.type === 'selection') {
+                return `<th ${attrs.join(' ')}><input type="checkbox" class="select-all checkbox checkbox-sm"></th>`;
+            }
+            return `<th ${attrs.join(' ')}>${this.escape(col.title ?? '')}</th>`;
+        });
+
+        thead.innerHTML = `<tr>${ths.join('')}</tr>`;
+    }
+
+    // ================= CELLS =================
+
+    /**
+     * Render every cell for a row
+     * @param {Object} row
+     * @param {number} index
+     * @returns {string} `<td>` HTML
+     */
+    renderRow(row, index) {
+        return this.columns.map(col => this.renderCell(col, row, index)).join('');
+    }
+
+    /**
+     * Render one `<td>`
+     * @param {Object} column
+     * @param {Object} row
+     * @param {number} index
+     * @returns {string}
+     */
+    renderCell(column, row, index) {
+        const cls = typeof column.class === 'function' ? column.class(row) : column.class;
+        const attrs = [`data-key="${this.escape(column.key || '')}"`];
+        if (cls) attrs.push(`class="${this.escape(cls)}"`);
+        if (column.editable && column.key) attrs.push(`data-edit="${this.escape(this._editorType(column))}"`);
+
+        return `<td ${attrs.join(' ')}>${this.renderValue(column, row, index)}</td>`;
+    }
+
+    /**
+     * Inline editor for an `editable` column: the given type, or one derived from the column type
+     */
+    _editorType(column) {
+        if (typeof column.editable === 'string') return column.editable;
+        if (column.type === 'number' || column.type === 'currency') return 'number';
+        if (column.type === 'date') return 'date';
+        if (column.editOptions) return 'select';
+        return 'text';
+    }
+
+    /**
+     * Cell content (HTML) for a column
+     */
+    renderValue(column, row, index) {
+        const value = column.key ? this.table._getNestedValue(row, column.key) : undefined;
+
+        // Custom formatter: its output is escaped unless the column opts into raw HTML
+        if (typeof column.formatter === 'function') {
+            const output = column.formatter(value, row, column, index);
+            return column.html ? String(output ?? '') : this.escape(output);
+        }
+
+        if (column.type === 'actions') return this._renderActions(column, row);
+        if (column.type === 'expand') return this.table.modules.rowDetails?.renderToggle(row) ?? '';
+        if (column.type === 'selection') {
+            const id = this.table._getNestedValue(row, column.key || this.table.config.row_key || 'id');
+            return `<input type="checkbox" class="select-row checkbox checkbox-sm" value="${this.escape(id)}">`;
+        }
+
+        if (value === null || value === undefined || value === '') {
+            return this.escape(column.placeholder ?? '');
+        }
+
+        switch (column.type) {
+            case 'number':
+                return this.escape(this._numberFormat(column).format(Number(value)));
+
+            case 'currency':
+                return this.escape(this._numberFormat(column, {
+                    style: 'currency',
+                    currency: column.currency || this.currency
+                }).format(Number(value)));
+
+            case 'date': {
+                const date = this._toDate(value);
+                if (!date) return this.escape(value);
+                const formatter = this._getFormatter(column, () => new Intl.DateTimeFormat(column.locale || this.locale, column.format || { dateStyle: 'medium' }));
+                return this.escape(formatter.format(date));
+            }
+
+            case 'relative-time': {
+                const date = this._toDate(value);
+                if (!date) return this.escape(value);
+                return `<time datetime="${this.escape(date.toISOString())}" title="${this.escape(date.toLocaleString(column.locale || this.locale))}">${this.escape(this._relativeTime(date, column))}</time>`;
+            }
+
+            case 'badge': {
+                const label = column.labels?.[value] ?? value;
+                const variant = column.badges?.[value] || column.badgeClass || 'badge-ghost';
+                return `<span class="badge badge-sm ${this.escape(variant)}">${this.escape(label)}</span>`;
+            }
+
+            case 'boolean': {
+                const truthy = value === true || value === 1 || value === '1' || value === 'true';
+                const labels = { true: 'Yes', false: 'No', ...(column.labels || {}) };
+                const variant = truthy ? (column.trueClass || 'badge-success') : (column.falseClass || 'badge-ghost');
+                return `<span class="badge badge-sm ${this.escape(variant)}">${this.escape(labels[truthy])}</span>`;
+            }
+
+            case 'image': {
+                const alt = column.alt ? this.table._getNestedValue(row, column.alt) ?? column.alt : '';
+                return `<img src="${this.escape(this._safeUrl(value))}" alt="${this.escape(alt)}" class="${this.escape(column.imageClass || 'w-10 h-10 rounded object-cover')}" loading="lazy">`;
+            }
+
+            case 'link': {
+                const href = column.href ? this._interpolate(column.href, row) : value;
+                const text = column.text ? this._interpolate(column.text, row) : value;
+                const target = column.target ? ` target="${this.escape(column.target)}" rel="noopener"` : '';
+                return `<a href="${this.escape(this._safeUrl(href))}" class="${this.escape(column.linkClass || 'link link-primary')}"${target}>${this.escape(text)}</a>`;
+            }
+
+            default:
+                return column.html ? String(value) : this.escape(value);
+        }
+    }
+
+    _renderActions(column, row) {
+        const buttons = (column.actions || []).map(action => {
+            if (typeof action.visible === 'function' && !action.visible(row)) return '';
+
+            const icon = action.icon ? this.table._renderIcon(action.icon, 'text-base') : '';
+            const label = action.label ? this.escape(action.label) : '';
+            const content = icon && action.iconOnly ? icon : `${icon}${label}`;
+            const cls = this.escape(action.class || 'btn btn-ghost btn-xs');
+            const data = `data-ds-action="${this.escape(action.name)}" data-ds-column="${this.escape(column.key || '')}"`;
+            const title = action.label ? ` title="${label}"` : '';
+
+            if (action.href) {
+                const href = this.escape(this._safeUrl(this._interpolate(action.href, row)));
+                return `<a href="${href}" class="${cls}" ${data}${title}>${content}</a>`;
+            }
+            return `<button type="button" class="${cls}" ${data}${title}>${content}</button>`;
+        });
+
+        return `<div class="flex items-center gap-1">${buttons.join('')}</div>`;
+    }
+
+    // ================= HELPERS =================
+
+    /**
+     * Escape a value for use in HTML text or attributes
+     * @param {*} value
+     * @returns {string}
+     */
+    escape(value) {
+        return DSTableTemplate.escape(value);
+    }
+
+    /**
+     * Replace `{field}` placeholders (dot paths allowed) with URL-encoded row values, or call a function
+     */
+    _interpolate(template, row) {
+        if (typeof template === 'function') return template(row);
+        return String(template).replace(/\{\s*([\w.]+)\s*\}/g, (match, path) => {
+            const value = this.table._getNestedValue(row, path);
+            return value === null || value === undefined ? '' : encodeURIComponent(value);
+        });
+    }
+
+    /**
+     * Relative URLs and http(s) / mailto / tel links; any other scheme becomes `#`.
+     * Browsers ignore control characters and spaces inside a scheme (`java\tscript:`), so they are removed before the check.
+     */
+    _safeUrl(url) {
+        const value = String(url ?? '');
+        const scheme = value.replace(/[\u0000-\u0020\u007F]/g, '').match(/^([a-z][a-z\d+.-]*):/i);
+        if (!scheme) return value;
+        return DSTableColumns.safeSchemes.includes(scheme[1].toLowerCase()) ? value : '#';
+    }
+
+    _toDate(value) {
+        const date = value instanceof Date ? value : new Date(typeof value === 'number' && value < 1e11 ? value * 1000 : value);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    _relativeTime(date, column) {
+        const formatter = this._getFormatter(column, () => new Intl.RelativeTimeFormat(column.locale || this.locale, { numeric: 'auto' }));
+        const seconds = Math.round((date.getTime() - Date.now()) / 1000);
+        const units = [
+            ['year', 31536000],
+            ['month', 2592000],
+            ['week', 604800],
+            ['day', 86400],
+            ['hour', 3600],
+            ['minute', 60]
+        ];
+
+        for (const [unit, size] of units) {
+            if (Math.abs(seconds) >= size) return formatter.format(Math.round(seconds / size), unit);
+        }
+        return formatter.format(seconds, 'second');
+    }
+
+    _numberFormat(column, base = {}) {
+        return this._getFormatter(column, () => new Intl.NumberFormat(column.locale || this.locale, { ...base, ...(column.format || {}) }));
+    }
+
+    _getFormatter(column, factory) {
+        if (!this._formatters.has(column)) this._formatters.set(column, factory());
+        return this._formatters.get(column);
+    }
+
+    // ================= PUBLIC API =================
+
+    /**
+     * Column definition by key
+     * @param {string} key
+     * @returns {Object|undefined}
+     */
+    getColumn(key) {
+        return this.columns.find(col => col.key === key);
+    }
+
+    /**
+     * Columns that hold data (excludes actions / selection / expand), e.g. for exports
+     * @returns {Object[]}
+     */
+    getDataColumns() {
+        return this.columns.filter(col => col.key && !['actions', 'selection', 'expand'].includes(col.type));
+    }
+}
+export default DSTableColumns;
@@ -1,8 +1,30 @@
+import DSTableXlsx from './DSTableXlsx.js';
+import DSTableQuery from './DSTableQuery.js';
+
 export class DSTableExport {
+    static translations = {
+        progress: 'Exporting {loaded} of {total} rows...',
+        progress_unknown: 'Exporting {loaded} rows...',
+        preparing: 'Preparing export...',
+        cancel: 'Cancel'
+    };
+
+    static numberPattern = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
     constructor(tableInstance) {
         this.table = tableInstance;
         this.table.registerModule('export', this);
 
+        const config = this.table.config;
+        this.mode = config.export_mode || 'page'; // page | all | server
+        this.fileName = config.export_filename || 'export';
+        this.pageSize = config.export_per_page || 500;
+        this.translations = { ...DSTableExport.translations, ...(config.export_translations || {}) };
+
+        // Running export
+        this.controller = null;
+        this.progressEl = null;
+
         // Look for export buttons
         this.buttons = document.querySelectorAll('[data-ds-table-export]');
 
@@ -14,21 +36,181 @@ export class DSTableExport {
             btn.addEventListener('click', (e) => {
                 e.preventDefault();
                 const type = btn.dataset.dsTableExport || 'csv';
-                this.exportData(type);
+                this.exportData(type, { mode: btn.dataset.exportMode });
             });
         });
     }
 
-    exportData(type) {
-        // Simple client-side export of current page data
-        // For full export, we might need server support or fetch all.
-        // Assuming client-side of current data for now.
+    /**
+     * Export table data
+     * @param {'csv'|'xlsx'|'json'} type
+     * @param {Object} [options]
+     * @param {'page'|'all'|'server'} [options.mode] - Current page only, every page of the current query, or a server export endpoint
+     * @returns {Promise<void>}
+     */
+    async exportData(type, options = {}) {
+        const mode = options.mode || this.mode;
+        if (this.controller) return; // One export at a time
+
+        if (mode === 'page') {
+            // Simple client-side export of current page data
+            const data = this.table.data;
+            if (!data || data.length === 0) return;
+            this._write(type, data);
+            return;
+        }
+
+        this.controller = new AbortController();
+        this._showProgress(0, null);
+        this.table._emit('exportStart', { type, mode });
+
+        try {
+            if (mode === 'server') {
+                await this._exportFromServer(type, this.controller.signal);
+            } else {
+                const rows = await this._collectAllRows(this.controller.signal);
+                if (rows.length > 0) this._write(type, rows);
+            }
+            this.table._emit('exportComplete', { type, mode });
+        } catch (error) {
+            if (error?.name === 'AbortError' || error?.name === 'CanceledError') {
+                this.table._emit('exportCancelled', { type, mode });
+            } else {
+                console.error('DSTableExport: Export failed', error);
+                this.table._emit('exportError', { type, mode, error });
+            }
+        } finally {
+            this.controller = null;
+            this._hideProgress();
+        }
+    }
+
+    /**
+     * Cancel the running export
+     */
+    cancel() {
+        if (this.controller) this.controller.abort();
+    }
+
+    // ================= DATA COLLECTION =================
+
+    /**
+     * Walk every page for the current search / sort / filter params
+     * @param {AbortSignal} signal
+     * @returns {Promise<Object[]>}
+     */
+    async _collectAllRows(signal) {
+        const params = { ...this.table.params };
+
+        // Local sources already hold the full dataset
+        if (this.table.modules.local) {
+            const rows = this.table.modules.local.query({ ...params, page: 1, per_page: 0 }).data;
+            this._showProgress(rows.length, rows.length);
+            return rows;
+        }
+
+        if (typeof this.table._fetchData !== 'function') {
+            throw new Error("DSTableExport: export_mode 'all' requires a DSTable instance");
+        }
+
+        const rows = [];
+        let page = 1;
+        let cursor = null;
+
+        while (true) {
+            if (signal.aborted) throw new DOMException('Export cancelled', 'AbortError');
+
+            const pageParams = { ...params, page, per_page: this.pageSize, cursor };
+            const response = await this.table._fetchData(pageParams, signal);
+            const { data: pageRows, meta } = this.table.parseResponse(response, pageParams);
+
+            rows.push(...pageRows);
+            this._showProgress(rows.length, meta.total ?? null);
+            this.table._emit('exportProgress', { loaded: rows.length, total: meta.total ?? null });
+
+            if (pageRows.length === 0) break;
+            if (meta.next_cursor !== undefined) {
+                if (!meta.next_cursor) break;
+                cursor = meta.next_cursor;
+            } else if (meta.last_page !== undefined) {
+                if (page >= parseInt(meta.last_page)) break;
+            } else if (!meta.next_page_url) {
+                break;
+            }
+            page++;
+        }
+
+        return rows;
+    }
+
+    /**
+     * Download a file generated by `export_url`. The current params are sent along with `format`.
+     */
+    async _exportFromServer(type, signal) {
+        const url = this.table.config.export_url;
+        if (!url) throw new Error('DSTableExport: export_url is not configured');
 
-        const data = this.table.data;
-        if (!data || data.length === 0) return;
+        // Same param names as the data requests (see `ajax_adapter`)
+        const adapter = this.table.adapter;
+        const params = adapter ? adapter.request({ ...this.table.params }, this.table) : this.table.params;
+        const query = DSTableQuery.stringify({ ...this.table.config.ajax_data, ...params, format: type });
+        const res = await fetch(`${url}${url.includes('?') ? '&' : '?'}${query}`, {
+            headers: { 'X-Requested-With': 'XMLHttpRequest' },
+            credentials: 'same-origin',
+            signal
+        });
+        if (!res.ok) throw new Error(`DSTableExport: Server export failed (${res.status})`);
+
+        const disposition = res.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename\*?=(?:UTF-8'')?"?([^";]+)"?/i);
+        const fileName = match ? decodeURIComponent(match[1]) : `${this.fileName}.${type}`;
+
+        this._downloadBlob(await res.blob(), fileName);
+    }
 
+    // ================= COLUMNS =================
+
+    /**
+     * Columns to export as [{ key, title }]
+     * Source order: `export_columns` config, the `columns` config, `thead th[data-key]` / `th[data-sort]`, then the row keys.
+     */
+    _getColumns(data) {
+        const configured = this.table.config.export_columns;
+        if (Array.isArray(configured)) {
+            return configured.map(col => typeof col === 'string' ? { key: col, title: col } : { key: col.key, title: col.title ?? col.key });
+        }
+        if (configured && typeof configured === 'object') {
+            return Object.entries(configured).map(([key, title]) => ({ key, title }));
+        }
+
+        if (this.table.modules.columns) {
+            return this.table.modules.columns.getDataColumns().map(col => ({ key: col.key, title: col.title ?? col.key }));
+        }
+
+        const headers = Array.from(this.table.table?.querySelectorAll('thead th') || [])
+            .filter(th => th.dataset.key || th.dataset.sort)
+            .map(th => ({ key: th.dataset.key || th.dataset.sort, title: this.table.getHeaderLabel(th) }));
+        if (headers.length > 0) return headers;
+
+        return Object.keys(data[0] || {})
+            .filter(key => !key.startsWith('_'))
+            .map(key => ({ key, title: key }));
+    }
+
+    _getCellValue(row, key) {
+        const value = this.table._getNestedValue(row, key);
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'object') return JSON.stringify(value);
+        return value;
+    }
+
+    // ================= WRITERS =================
+
+    _write(type, data) {
         if (type === 'csv') {
             this._exportCSV(data);
+        } else if (type === 'xlsx') {
+            this._exportXLSX(data);
         } else if (type === 'json') {
             this._exportJSON(data);
         }
@@ -37,32 +219,95 @@ export class DSTableExport {
     _exportCSV(data) {
         if (!data.length) return;
 
-        // Flatten object for CSV? Or just take top level keys
-        const headers = Object.keys(data[0]);
-        const csvContent = [
-            headers.join(','),
-            ...data.map(row => headers.map(fieldName => {
-                let cell = row[fieldName] === null || row[fieldName] === undefined ? '' : row[fieldName];
-                if (typeof cell === 'object') cell = JSON.stringify(cell); // Simple handling
-                return JSON.stringify(cell); // Quote strings
-            }).join(','))
-        ].join('\r\n');
+        const columns = this._getColumns(data);
+        const delimiter = this.table.config.export_csv_delimiter || ',';
+        const formulas = this.table.config.export_csv_escape_formulas !== false;
+        const escape = (value) => {
+            let text = String(value);
+            // Spreadsheets run text starting with = + - @ (or a tab / CR) as a formula: keep it text. Numbers stay numbers.
+            if (formulas && typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && !DSTableExport.numberPattern.test(text)) {
+                text = `'${text}`;
+            }
+            return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
 
-        this._downloadFile(csvContent, 'export.csv', 'text/csv');
+        // One string per row rather than one for the whole file. The file is still assembled in memory
+        // and downloaded at the end: browsers cannot stream a download without a service worker.
+        const chunks = [columns.map(col => escape(col.title)).join(delimiter) + '\r\n'];
+        data.forEach(row => {
+            chunks.push(columns.map(col => escape(this._getCellValue(row, col.key))).join(delimiter) + '\r\n');
+        });
+
+        // UTF-8 BOM so Excel detects the encoding
+        this._downloadBlob(new Blob(['\uFEFF', ...chunks], { type: 'text/csv;charset=utf-8' }), `${this.fileName}.csv`);
+    }
+
+    _exportXLSX(data) {
+        if (!data.length) return;
+
+        const columns = this._getColumns(data);
+        const rows = data.map(row => columns.map(col => this._getCellValue(row, col.key)));
+        const blob = DSTableXlsx.build(columns.map(col => col.title), rows, { sheetName: this.table.config.export_sheet_name });
+
+        this._downloadBlob(blob, `${this.fileName}.xlsx`);
     }
 
     _exportJSON(data) {
         const jsonContent = JSON.stringify(data, null, 2);
-        this._downloadFile(jsonContent, 'export.json', 'application/json');
+        this._downloadFile(jsonContent, `${this.fileName}.json`, 'application/json');
     }
 
     _downloadFile(content, fileName, mimeType) {
+        this._downloadBlob(new Blob([content], { type: mimeType }), fileName);
+    }
+
+    _downloadBlob(blob, fileName) {
         const a = document.createElement('a');
-        const blob = new Blob([content], { type: mimeType });
         const url = URL.createObjectURL(blob);
         a.setAttribute('href', url);
         a.setAttribute('download', fileName);
         a.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // ================= PROGRESS =================
+
+    _showProgress(loaded, total) {
+        if (!this.progressEl) {
+            this.progressEl = document.createElement('div');
+            this.progressEl.className = 'ds-table-export-progress fixed bottom-4 right-4 z-50 w-80 rounded-box bg-base-100 shadow-lg border border-base-200 p-4 flex flex-col gap-3';
+            this.progressEl.innerHTML = `
+                <div class="text-sm ds-export-text"></div>
+                <progress class="progress progress-primary w-full"></progress>
+                <div class="flex justify-end">
+                    <button type="button" class="btn btn-sm btn-ghost ds-export-cancel">${this.translations.cancel}</button>
+                </div>
+            `;
+            this.progressEl.querySelector('.ds-export-cancel').addEventListener('click', () => this.cancel());
+            document.body.appendChild(this.progressEl);
+        }
+
+        const text = this.progressEl.querySelector('.ds-export-text');
+        const bar = this.progressEl.querySelector('progress');
+
+        if (total) {
+            text.textContent = this.translations.progress.replace('{loaded}', loaded).replace('{total}', total);
+            bar.max = total;
+            bar.value = Math.min(loaded, total);
+        } else {
+            text.textContent = loaded
+                ? this.translations.progress_unknown.replace('{loaded}', loaded)
+                : this.translations.preparing;
+            // No value = indeterminate
+            bar.removeAttribute('value');
+        }
+    }
+
+    _hideProgress() {
+        if (this.progressEl) {
+            this.progressEl.remove();
+            this.progressEl = null;
+        }
     }
 }
 export default DSTableExport;
@@ -1,3 +1,5 @@
+import { DSSelect } from '../DSSelect.js';
+
 export class DSTableFilter {
     constructor(tableInstance) {
         this.table = tableInstance;
@@ -13,6 +15,9 @@ export class DSTableFilter {
         this.resetButtonSelector = this.table.config.filter_reset_button || null;
         this.resetButton = null;
 
+        // True while controls are updated programmatically (see syncUI)
+        this._syncing = false;
+
         this._init();
         this._initResetButton();
     }
@@ -122,6 +127,8 @@ export class DSTableFilter {
     }
 
     _handleFilterChange(key, element) {
+        if (this._syncing) return;
+
         let val;
         if (element.type === 'checkbox') {
             val = element.checked ? (element.value || true) : null;
@@ -149,6 +156,8 @@ export class DSTableFilter {
      * Handle DSSelect (searchable-select) custom component changes
      */
     _handleDSSelectChange(key, wrapper, detail) {
+        if (this._syncing) return;
+
         let val = detail?.value;
 
         // Handle array values for multiple selects
@@ -164,6 +173,33 @@ export class DSTableFilter {
         this.table.loadData();
     }
 
+    /**
+     * Put every filter control back in line with the current table params
+     * (e.g. after URL state restore). Does not trigger a reload.
+     */
+    syncUI() {
+        this._syncing = true;
+
+        Object.entries(this.filters).forEach(([key, config]) => {
+            const el = document.querySelector(config.input_selector);
+            if (!el) return;
+
+            const value = this.table.getParam(key);
+
+            if (el.hasAttribute('data-ds-select')) {
+                const instance = DSSelect.getInstance(el);
+                if (instance) instance.setValue(value ?? null);
+            } else if (el.type === 'checkbox') {
+                el.checked = value !== null && value !== undefined && value !== false && value !== '';
+            } else {
+                el.value = value ?? '';
+            }
+        });
+
+        this._syncing = false;
+        this._updateResetButtonState();
+    }
+
     /**
      * Reset a single filter by key
      * @param {string} key - The filter key to reset
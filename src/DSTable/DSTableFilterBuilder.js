@@ -0,0 +1,619 @@
+import DSTableHttp from './DSTableHttp.js';
+import DSTableTemplate from './DSTableTemplate.js';
+
+/**
+ * DSTableFilterBuilder
+ *
+ * Condition editor that produces `{ field, operator, value }` clauses, all of which must match (AND).
+ * Applied clauses live in `params.where` (see `filter_builder_param`) and reach the server in bracket notation:
+ *   where[0][field]=amount&where[0][operator]=gt&where[0][value]=100
+ *   where[1][field]=created_at&where[1][operator]=between&where[1][value][from]=2024-01-01&where[1][value][to]=2024-03-31
+ *   where[2][field]=status&where[2][operator]=in&where[2][value][]=paid&where[2][value][]=refunded
+ * DSTableLocal applies the same clauses to local sources.
+ *
+ * Presets (named sets of clauses) are kept in localStorage, or on a REST endpoint (`filter_presets_url`).
+ */
+export class DSTableFilterBuilder {
+    static translations = {
+        button: 'Filters',
+        add: 'Add condition',
+        apply: 'Apply',
+        clear: 'Clear',
+        remove: 'Remove condition',
+        field: 'Field',
+        operator: 'Operator',
+        from: 'From',
+        to: 'To',
+        values: 'Values, comma separated',
+        empty: 'No conditions. Add one to filter the rows.',
+        presets: 'Saved filters',
+        no_presets: 'No saved filters',
+        preset_name: 'Name these filters',
+        save: 'Save',
+        delete: 'Delete',
+        operators: {
+            eq: 'equals',
+            neq: 'does not equal',
+            gt: 'greater than',
+            gte: 'at least',
+            lt: 'less than',
+            lte: 'at most',
+            between: 'between',
+            contains: 'contains',
+            starts_with: 'starts with',
+            ends_with: 'ends with',
+            in: 'is any of',
+            not_in: 'is none of',
+            empty: 'is empty',
+            not_empty: 'is not empty'
+        }
+    };
+
+    // Operators offered per field type, first one is the default
+    static operators = {
+        text: ['contains', 'eq', 'neq', 'starts_with', 'ends_with', 'in', 'empty', 'not_empty'],
+        number: ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'between', 'in', 'empty', 'not_empty'],
+        date: ['eq', 'gt', 'gte', 'lt', 'lte', 'between', 'empty', 'not_empty'],
+        select: ['in', 'not_in', 'eq', 'neq', 'empty', 'not_empty']
+    };
+
+    static valueless = ['empty', 'not_empty'];
+
+    constructor(tableInstance) {
+        this.table = tableInstance;
+        this.table.registerModule('filterBuilder', this);
+
+        const config = this.table.config;
+        this.param = config.filter_builder_param || 'where';
+        this.presetsUrl = config.filter_presets_url || null;
+        this.storageType = config.filter_presets_storage ?? 'localStorage'; // 'localStorage' or 'sessionStorage'
+        this.storageKey = config.filter_presets_storage_key ?? `dstable_filters_${this._getTableIdentifier()}`;
+        this.translations = {
+            ...DSTableFilterBuilder.translations,
+            ...(config.filter_builder_translations || {}),
+            operators: { ...DSTableFilterBuilder.translations.operators, ...(config.filter_builder_translations?.operators || {}) }
+        };
+
+        this.fields = this._readFields();
+        this.presets = [];
+        // Clauses being edited; applied ones are in table.params
+        this.draft = [];
+        this.container = null;
+        this.panel = null;
+
+        if (!Array.isArray(this.table.params[this.param])) this.table.params[this.param] = [];
+
+        this._init();
+    }
+
+    _getTableIdentifier() {
+        return this.table.wrapper.id ||
+            this.table.config.ajax_url ||
+            window.location.pathname.replace(/\//g, '_');
+    }
+
+    _init() {
+        this.container = this.table.wrapper.querySelector('.ds-table-filter-builder');
+        if (!this.container) {
+            this.container = document.createElement('div');
+            this.container.className = 'ds-table-filter-builder mb-2';
+            this.table._insertAboveTable(this.container);
+        }
+
+        this.container.addEventListener('click', (e) => this._onClick(e));
+        this.container.addEventListener('change', (e) => this._onChange(e));
+        this.container.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && e.target.matches('input[data-fb-value]')) {
+                e.preventDefault();
+                this.apply();
+            } else if (e.key === 'Enter' && e.target.matches('input[data-fb-preset-name]')) {
+                e.preventDefault();
+                this.savePreset(e.target.value);
+            }
+        });
+
+        this.draft = this._clone(this.getClauses());
+        this._render();
+        this._loadPresets();
+    }
+
+    /**
+     * Fields from `filter_builder_fields`, otherwise from the column definitions or the header cells
+     * @returns {{key: string, label: string, type: string, options: Array<{value: string, label: string}>, operators: string[]}[]}
+     */
+    _readFields() {
+        const config = this.table.config;
+        let fields = config.filter_builder_fields;
+
+        if (!Array.isArray(fields) && this.table.modules.columns) {
+            fields = this.table.modules.columns.getDataColumns()
+                .filter(col => col.filterable !== false)
+                .map(col => ({ key: col.key, label: col.title || col.key, ...this._fieldTypeOf(col) }));
+        } else if (!Array.isArray(fields)) {
+            fields = this.table.getHeaderCells()
+                .filter(th => th.dataset.key || th.dataset.sort)
+                .map(th => ({ key: th.dataset.key || th.dataset.sort, label: this.table.getHeaderLabel(th) }));
+        }
+
+        return fields.filter(field => field && field.key).map(field => {
+            const type = DSTableFilterBuilder.operators[field.type] ? field.type : 'text';
+            return {
+                ...field,
+                label: field.label || field.key,
+                type,
+                options: this._normalizeOptions(field.options),
+                operators: (field.operators || DSTableFilterBuilder.operators[type])
+                    .filter(op => this.translations.operators[op])
+            };
+        });
+    }
+
+    _fieldTypeOf(column) {
+        if (['number', 'currency'].includes(column.type)) return { type: 'number' };
+        if (['date', 'relative-time'].includes(column.type)) return { type: 'date' };
+        if (column.type === 'boolean') {
+            const labels = { true: 'Yes', false: 'No', ...(column.labels || {}) };
+            return { type: 'select', options: [{ value: '1', label: labels.true }, { value: '0', label: labels.false }] };
+        }
+        if (column.type === 'badge' && column.labels) return { type: 'select', options: column.labels };
+        if (column.editOptions) return { type: 'select', options: column.editOptions };
+        return { type: 'text' };
+    }
+
+    /**
+     * { value: label } | [{ value, label }] | ['a', 'b'] => [{ value, label }]
+     */
+    _normalizeOptions(options) {
+        if (!options) return [];
+        if (Array.isArray(options)) {
+            return options.map(opt => opt !== null && typeof opt === 'object'
+                ? { value: String(opt.value), label: String(opt.label ?? opt.value) }
+                : { value: String(opt), label: String(opt) });
+        }
+        return Object.entries(options).map(([value, label]) => ({ value, label: String(label) }));
+    }
+
+    _getField(key) {
+        return this.fields.find(field => field.key === key);
+    }
+
+    // ================= RENDERING =================
+
+    _render() {
+        const escape = DSTableTemplate.escape;
+        const count = this.getClauses().length;
+        const open = this.panel ? !this.panel.hidden : false;
+
+        this.container.innerHTML = `
+            <div class="flex flex-wrap items-center gap-2">
+                <button type="button" class="btn btn-sm btn-ghost gap-1" data-fb-toggle aria-expanded="${open ? 'true' : 'false'}">
+                    ${this.table._renderIcon('filter_list', 'text-lg')}${escape(this.translations.button)}
+                    ${count ? `<span class="badge badge-sm badge-primary">${count}</span>` : ''}
+                </button>
+                <div class="dropdown" data-fb-presets></div>
+            </div>
+            <div class="ds-filter-builder-panel mt-2 rounded-box border border-base-200 bg-base-100 p-3" data-fb-panel ${open ? '' : 'hidden'}>
+                <div class="flex flex-col gap-2" data-fb-clauses></div>
+                <div class="mt-3 flex flex-wrap items-center gap-2">
+                    <button type="button" class="btn btn-sm btn-ghost gap-1" data-fb-add>${this.table._renderIcon('add', 'text-lg')}${escape(this.translations.add)}</button>
+                    <button type="button" class="btn btn-sm btn-primary" data-fb-apply>${escape(this.translations.apply)}</button>
+                    <button type="button" class="btn btn-sm btn-ghost" data-fb-clear>${escape(this.translations.clear)}</button>
+                    <div class="join ml-auto">
+                        <input type="text" class="input input-sm join-item" data-fb-preset-name placeholder="${escape(this.translations.preset_name)}">
+                        <button type="button" class="btn btn-sm join-item" data-fb-preset-save>${escape(this.translations.save)}</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        this.panel = this.container.querySelector('[data-fb-panel]');
+        this._renderClauses();
+        this._renderPresets();
+    }
+
+    _renderClauses() {
+        const list = this.container.querySelector('[data-fb-clauses]');
+        if (!list) return;
+
+        list.innerHTML = this.draft.length
+            ? this.draft.map((clause, index) => this._renderClause(clause, index)).join('')
+            : `<p class="text-sm text-base-content/60">${DSTableTemplate.escape(this.translations.empty)}</p>`;
+    }
+
+    _renderClause(clause, index) {
+        const escape = DSTableTemplate.escape;
+        const field = this._getField(clause.field) || this.fields[0];
+        const fieldOptions = this.fields.map(f =>
+            `<option value="${escape(f.key)}" ${f.key === field?.key ? 'selected' : ''}>${escape(f.label)}</option>`
+        ).join('');
+        const operatorOptions = (field?.operators || []).map(op =>
+            `<option value="${op}" ${op === clause.operator ? 'selected' : ''}>${escape(this.translations.operators[op])}</option>`
+        ).join('');
+
+        return `
+            <div class="flex flex-wrap items-center gap-2" data-fb-clause="${index}">
+                <select class="select select-sm w-auto" data-fb-field aria-label="${escape(this.translations.field)}">${fieldOptions}</select>
+                <select class="select select-sm w-auto" data-fb-operator aria-label="${escape(this.translations.operator)}">${operatorOptions}</select>
+                ${field ? this._renderValue(field, clause) : ''}
+                <button type="button" class="btn btn-ghost btn-sm btn-square" data-fb-remove aria-label="${escape(this.translations.remove)}">
+                    ${this.table._renderIcon('close', 'text-lg')}
+                </button>
+            </div>
+        `;
+    }
+
+    _renderValue(field, clause) {
+        const escape = DSTableTemplate.escape;
+        const operator = clause.operator;
+        const inputType = field.type === 'number' ? 'number' : (field.type === 'date' ? 'date' : 'text');
+
+        if (DSTableFilterBuilder.valueless.includes(operator)) return '';
+
+        if (operator === 'between') {
+            const range = clause.value && typeof clause.value === 'object' ? clause.value : {};
+            return `
+                <input type="${inputType}" class="input input-sm w-36" data-fb-value="from" value="${escape(range.from ?? '')}" aria-label="${escape(this.translations.from)}" placeholder="${escape(this.translations.from)}">
+                <span class="text-sm text-base-content/60">&ndash;</span>
+                <input type="${inputType}" class="input input-sm w-36" data-fb-value="to" value="${escape(range.to ?? '')}" aria-label="${escape(this.translations.to)}" placeholder="${escape(this.translations.to)}">
+            `;
+        }
+
+        const multiple = ['in', 'not_in'].includes(operator);
+        const values = (Array.isArray(clause.value) ? clause.value : [clause.value]).filter(v => v !== null && v !== undefined).map(String);
+
+        if (field.options.length) {
+            const options = field.options.map(opt =>
+                `<option value="${escape(opt.value)}" ${values.includes(opt.value) ? 'selected' : ''}>${escape(opt.label)}</option>`
+            ).join('');
+            return multiple
+                ? `<select class="select select-sm h-auto w-auto min-w-40" data-fb-value multiple size="${Math.min(field.options.length, 4)}">${options}</select>`
+                : `<select class="select select-sm w-auto" data-fb-value>${options}</select>`;
+        }
+
+        if (multiple) {
+            return `<input type="text" class="input input-sm w-56" data-fb-value value="${escape(values.join(', '))}" placeholder="${escape(this.translations.values)}">`;
+        }
+
+        return `<input type="${inputType}" class="input input-sm w-48" data-fb-value value="${escape(values[0] ?? '')}">`;
+    }
+
+    _renderPresets() {
+        const holder = this.container.querySelector('[data-fb-presets]');
+        if (!holder) return;
+
+        const escape = DSTableTemplate.escape;
+        const items = this.presets.length
+            ? this.presets.map(preset => `
+                <li>
+                    <div class="flex items-center justify-between gap-2">
+                        <button type="button" class="flex-1 text-left" data-fb-preset="${escape(preset.name)}">${escape(preset.name)}</button>
+                        <button type="button" class="btn btn-ghost btn-xs btn-square" data-fb-preset-delete="${escape(preset.name)}" aria-label="${escape(this.translations.delete)}">
+                            ${this.table._renderIcon('delete', 'text-base')}
+                        </button>
+                    </div>
+                </li>`).join('')
+            : `<li class="menu-disabled"><span>${escape(this.translations.no_presets)}</span></li>`;
+
+        holder.innerHTML = `
+            <div tabindex="0" role="button" class="btn btn-sm btn-ghost gap-1">${this.table._renderIcon('bookmarks', 'text-lg')}${escape(this.translations.presets)}</div>
+            <ul tabindex="0" class="dropdown-content menu bg-base-100 rounded-box z-10 w-64 p-2 shadow-sm border border-base-200">${items}</ul>
+        `;
+    }
+
+    // ================= EDITING =================
+
+    _onClick(e) {
+        const target = e.target.closest('button');
+        if (!target || !this.container.contains(target)) return;
+
+        if (target.hasAttribute('data-fb-toggle')) {
+            this.panel.hidden ? this.open() : this.close();
+        } else if (target.hasAttribute('data-fb-add')) {
+            this.addClause();
+        } else if (target.hasAttribute('data-fb-remove')) {
+            this._readDraft();
+            this.draft.splice(parseInt(target.closest('[data-fb-clause]').dataset.fbClause), 1);
+            this._renderClauses();
+        } else if (target.hasAttribute('data-fb-apply')) {
+            this.apply();
+        } else if (target.hasAttribute('data-fb-clear')) {
+            this.clear();
+        } else if (target.hasAttribute('data-fb-preset-save')) {
+            this.savePreset(this.container.querySelector('[data-fb-preset-name]').value);
+        } else if (target.dataset.fbPreset !== undefined) {
+            this.applyPreset(target.dataset.fbPreset);
+        } else if (target.dataset.fbPresetDelete !== undefined) {
+            this.deletePreset(target.dataset.fbPresetDelete);
+        } else {
+            return;
+        }
+        e.preventDefault();
+    }
+
+    /**
+     * Field / operator changes re-render their row: the operators and value inputs depend on them
+     */
+    _onChange(e) {
+        const row = e.target.closest('[data-fb-clause]');
+        if (!row) return;
+
+        const index = parseInt(row.dataset.fbClause);
+        const previous = this.draft[index];
+        this._readDraft();
+
+        if (e.target.matches('[data-fb-field]')) {
+            const field = this._getField(this.draft[index].field);
+            this.draft[index] = { field: field.key, operator: field.operators[0], value: null };
+        } else if (e.target.matches('[data-fb-operator]')) {
+            // Keep the value only if it still has the right shape
+            const shape = (op) => op === 'between' ? 'range' : (['in', 'not_in'].includes(op) ? 'list' : 'single');
+            if (shape(previous.operator) !== shape(this.draft[index].operator)) this.draft[index].value = null;
+        } else {
+            return;
+        }
+        this._renderClauses();
+    }
+
+    /**
+     * Read every clause row back into the draft
+     */
+    _readDraft() {
+        this.container.querySelectorAll('[data-fb-clause]').forEach(row => {
+            const index = parseInt(row.dataset.fbClause);
+            const field = row.querySelector('[data-fb-field]').value;
+            const operator = row.querySelector('[data-fb-operator]').value;
+            let value = null;
+
+            if (operator === 'between') {
+                value = {
+                    from: row.querySelector('[data-fb-value="from"]')?.value ?? '',
+                    to: row.querySelector('[data-fb-value="to"]')?.value ?? ''
+                };
+            } else {
+                const input = row.querySelector('[data-fb-value]');
+                if (input?.multiple) {
+                    value = Array.from(input.selectedOptions).map(opt => opt.value);
+                } else if (input && ['in', 'not_in'].includes(operator)) {
+                    value = input.value.split(',').map(item => item.trim()).filter(Boolean);
+                } else if (input) {
+                    value = input.value;
+                }
+            }
+
+            this.draft[index] = { field, operator, value };
+        });
+    }
+
+    /**
+     * A clause is sent only when it has what its operator needs
+     */
+    _isComplete(clause) {
+        if (!clause || !clause.field || !clause.operator) return false;
+        if (DSTableFilterBuilder.valueless.includes(clause.operator)) return true;
+        if (clause.operator === 'between') {
+            const { from, to } = clause.value || {};
+            return (from !== undefined && from !== '') || (to !== undefined && to !== '');
+        }
+        if (Array.isArray(clause.value)) return clause.value.length > 0;
+        return clause.value !== null && clause.value !== undefined && clause.value !== '';
+    }
+
+    /**
+     * Clause for the request: no value for valueless operators, empty range ends dropped
+     */
+    _clean(clause) {
+        const cleaned = { field: clause.field, operator: clause.operator };
+        if (DSTableFilterBuilder.valueless.includes(clause.operator)) return cleaned;
+
+        if (clause.operator === 'between') {
+            cleaned.value = {};
+            ['from', 'to'].forEach(end => {
+                const value = clause.value?.[end];
+                if (value !== undefined && value !== null && value !== '') cleaned.value[end] = value;
+            });
+        } else {
+            cleaned.value = clause.value;
+        }
+        return cleaned;
+    }
+
+    _clone(value) {
+        return JSON.parse(JSON.stringify(value ?? null));
+    }
+
+    // ================= PRESETS =================
+
+    async _loadPresets() {
+        try {
+            if (this.presetsUrl) {
+                const { ok, data } = await DSTableHttp.request(this.table, 'GET', this.presetsUrl);
+                if (!ok) throw new Error('Request failed');
+                const list = Array.isArray(data) ? data : (data?.data || []);
+                this.presets = list.filter(preset => preset && preset.name);
+            } else {
+                const storage = this.storageType === 'sessionStorage' ? sessionStorage : localStorage;
+                const saved = JSON.parse(storage.getItem(this.storageKey) || '[]');
+                this.presets = Array.isArray(saved) ? saved : [];
+            }
+        } catch (e) {
+            console.warn('DSTableFilterBuilder: Failed to load presets', e);
+            this.presets = [];
+        }
+        this._renderPresets();
+    }
+
+    _saveToStorage() {
+        try {
+            const storage = this.storageType === 'sessionStorage' ? sessionStorage : localStorage;
+            storage.setItem(this.storageKey, JSON.stringify(this.presets));
+        } catch (e) {
+            console.warn('DSTableFilterBuilder: Failed to save presets', e);
+        }
+    }
+
+    _presetUrl(preset) {
+        return `${this.presetsUrl.replace(/\/$/, '')}/${encodeURIComponent(preset.id ?? preset.name)}`;
+    }
+
+    _presetsChanged() {
+        this._renderPresets();
+        this.table._emit('filterPresetsChange', { presets: this.getPresets() });
+    }
+
+    // ================= PUBLIC API =================
+
+    /**
+     * Applied clauses
+     * @returns {{field: string, operator: string, value: *}[]}
+     */
+    getClauses() {
+        const clauses = this.table.params[this.param];
+        return Array.isArray(clauses) ? clauses : [];
+    }
+
+    /**
+     * Replace the applied clauses
+     * @param {{field: string, operator: string, value: *}[]} clauses
+     * @param {boolean} [reload=true]
+     */
+    setClauses(clauses, reload = true) {
+        const complete = (clauses || []).filter(clause => this._isComplete(clause)).map(clause => this._clean(clause));
+
+        this.draft = this._clone(complete);
+        this.table.setParam(this.param, complete);
+        this._render();
+        this.table._emit('filterBuilderChange', { clauses: this._clone(complete) });
+
+        if (reload) {
+            this.table.setParam('page', 1);
+            this.table.loadData();
+        }
+    }
+
+    /**
+     * Add a condition row to the editor (not applied until apply())
+     * @param {Object} [clause] - { field, operator, value }
+     */
+    addClause(clause = {}) {
+        this._readDraft();
+        const field = this._getField(clause.field) || this.fields[0];
+        if (!field) return;
+
+        this.draft.push({ field: field.key, operator: clause.operator || field.operators[0], value: clause.value ?? null });
+        this.open();
+        this._renderClauses();
+        this.container.querySelector(`[data-fb-clause="${this.draft.length - 1}"] [data-fb-value]`)?.focus();
+    }
+
+    /**
+     * Apply the conditions in the editor
+     */
+    apply() {
+        this._readDraft();
+        this.setClauses(this.draft);
+    }
+
+    /**
+     * Remove every condition and reload
+     */
+    clear() {
+        this.setClauses([]);
+    }
+
+    open() {
+        this.panel.hidden = false;
+        this.container.querySelector('[data-fb-toggle]')?.setAttribute('aria-expanded', 'true');
+    }
+
+    close() {
+        this.panel.hidden = true;
+        this.container.querySelector('[data-fb-toggle]')?.setAttribute('aria-expanded', 'false');
+    }
+
+    /**
+     * Saved presets: [{ id?, name, clauses }]
+     * @returns {Object[]}
+     */
+    getPresets() {
+        return this._clone(this.presets);
+    }
+
+    /**
+     * Apply the editor's conditions and save them under a name (an existing preset with that name is replaced).
+     * Endpoint presets are created with `POST {filter_presets_url}`, replaced with `PUT {filter_presets_url}/{id}`.
+     * @param {string} name
+     * @returns {Promise<Object|null>} The saved preset
+     */
+    async savePreset(name) {
+        name = String(name ?? '').trim();
+        if (!name) return null;
+
+        this._readDraft();
+        const clauses = this.draft.filter(clause => this._isComplete(clause)).map(clause => this._clean(clause));
+        const existing = this.presets.find(p => p.name === name);
+        let preset = { ...(existing || {}), name, clauses };
+
+        try {
+            if (this.presetsUrl) {
+                const { ok, data } = existing
+                    ? await DSTableHttp.request(this.table, 'PUT', this._presetUrl(existing), preset)
+                    : await DSTableHttp.request(this.table, 'POST', this.presetsUrl, preset);
+                if (!ok) throw new Error('Request failed');
+                preset = { ...preset, ...(data?.data || data || {}) };
+            }
+        } catch (e) {
+            console.warn('DSTableFilterBuilder: Failed to save preset', e);
+            return null;
+        }
+
+        this.presets = [...this.presets.filter(p => p.name !== name), preset];
+        if (!this.presetsUrl) this._saveToStorage();
+
+        this.setClauses(clauses);
+        this._presetsChanged();
+        return preset;
+    }
+
+    /**
+     * Apply a saved preset by name
+     * @param {string} name
+     */
+    applyPreset(name) {
+        const preset = this.presets.find(p => p.name === name);
+        if (!preset) return;
+        this.setClauses(preset.clauses || []);
+        this.table._emit('filterPresetApplied', { preset: this._clone(preset) });
+    }
+
+    /**
+     * Delete a saved preset by name. Endpoint presets are deleted with `DELETE {filter_presets_url}/{id}`.
+     * @param {string} name
+     */
+    async deletePreset(name) {
+        const preset = this.presets.find(p => p.name === name);
+        if (!preset) return;
+
+        try {
+            if (this.presetsUrl) {
+                const { ok } = await DSTableHttp.request(this.table, 'DELETE', this._presetUrl(preset));
+                if (!ok) throw new Error('Request failed');
+            }
+        } catch (e) {
+            console.warn('DSTableFilterBuilder: Failed to delete preset', e);
+            return;
+        }
+
+        this.presets = this.presets.filter(p => p !== preset);
+        if (!this.presetsUrl) this._saveToStorage();
+        this._presetsChanged();
+    }
+
+    /**
+     * Editor back in line with the applied clauses (e.g. after URL state restore)
+     */
+    syncUI() {
+        this.draft = this._clone(this.getClauses());
+        this._render();
+    }
+}
+export default DSTableFilterBuilder;
@@ -0,0 +1,448 @@
+import DSTableTemplate from './DSTableTemplate.js';
+
+/**
+ * DSTableGrouping
+ *
+ * Groups the rendered rows by one or more keys (`group_by`) and inserts a full-width header row
+ * (`<tr data-ds-row="group">`) above each group, with its row count and configured aggregates.
+ * Groups collapse / expand from their header; collapsed groups are remembered by path across renders.
+ * With `group_aggregates`, a `<tfoot>` totals row is rendered, aligned to the header cells.
+ *
+ * Counts and aggregates come from `meta` when an AJAX response provides them, otherwise from the rows on the page:
+ *   meta.aggregates: { amount: { sum: 1200, avg: 40 } }                          // totals row
+ *   meta.groups:     { "paid": { count: 12, aggregates: { amount: { sum: 800 } } } } // group headers, key = group path
+ * A group path joins the group values of every level with `|`, e.g. "paid|2024-01".
+ * For local sources DSTableLocal leaves those two unset, so the headers and the totals row show the page, and puts
+ * the same figures over every matching row in `meta.grand_aggregates` / `meta.grand_groups` (not rendered).
+ */
+export class DSTableGrouping {
+    static translations = {
+        total: 'Total',
+        empty: '(empty)',
+        expand: 'Expand group',
+        collapse: 'Collapse group',
+        sum: 'Sum',
+        avg: 'Avg',
+        min: 'Min',
+        max: 'Max',
+        count: 'Count'
+    };
+
+    static functions = ['sum', 'avg', 'min', 'max', 'count'];
+
+    constructor(tableInstance) {
+        this.table = tableInstance;
+        this.table.registerModule('grouping', this);
+
+        const config = this.table.config;
+        this.levels = this._normalizeLevels(config.group_by);
+        this.aggregates = this._normalizeAggregates(config.group_aggregates);
+        this.showTotals = config.group_totals ?? true;
+        this.collapsedByDefault = !!config.group_collapsed;
+        this.icons = { expand: 'chevron_right', collapse: 'expand_more', ...(config.group_icons || {}) };
+        this.translations = { ...DSTableGrouping.translations, ...(config.group_translations || {}) };
+
+        // Group paths the user toggled away from the default state
+        this.toggled = new Set();
+
+        this._init();
+    }
+
+    _init() {
+        const tbody = this.table.tbody;
+        if (!tbody) return;
+
+        tbody.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-ds-group-toggle]');
+            if (!btn || !tbody.contains(btn)) return;
+            e.preventDefault();
+            this.toggle(btn.closest('tr[data-ds-row="group"]').dataset.dsGroup);
+        });
+
+        this.table.on('render', () => this.apply());
+    }
+
+    /**
+     * Empty results don't emit `render`: drop the totals row of the previous page
+     */
+    onDataLoaded() {
+        if (!this.table.data.length) this._renderTotals();
+    }
+
+    /**
+     * `group_by`: 'status' | ['status', 'month'] | [{ key, value: row => ..., label: (value, group) => string, sort, direction }]
+     */
+    _normalizeLevels(groupBy) {
+        if (!groupBy) return [];
+        return (Array.isArray(groupBy) ? groupBy : [groupBy])
+            .map(level => typeof level === 'string' ? { key: level } : level)
+            .filter(level => level && level.key);
+    }
+
+    /**
+     * `group_aggregates`: { amount: 'sum', price: ['avg', 'max'] } => { amount: ['sum'], price: ['avg', 'max'] }
+     */
+    _normalizeAggregates(aggregates) {
+        const normalized = {};
+        Object.entries(aggregates || {}).forEach(([field, fns]) => {
+            const list = (Array.isArray(fns) ? fns : [fns]).filter(fn => DSTableGrouping.functions.includes(fn));
+            if (list.length) normalized[field] = list;
+        });
+        return normalized;
+    }
+
+    // ================= CALCULATION =================
+
+    /**
+     * Group value of a row for one level
+     */
+    _valueOf(row, level) {
+        const value = typeof level.value === 'function' ? level.value(row) : this.table._getNestedValue(row, level.key);
+        return value === null || value === undefined ? '' : String(value);
+    }
+
+    /**
+     * Aggregates over a set of rows: { field: { sum, avg, min, max, count } } (configured functions only)
+     * @param {Object[]} rows
+     * @returns {Object}
+     */
+    aggregate(rows) {
+        const result = {};
+
+        Object.entries(this.aggregates).forEach(([field, fns]) => {
+            const numbers = rows
+                .map(row => this.table._getNestedValue(row, field))
+                .filter(value => value !== null && value !== undefined && value !== '')
+                .map(Number)
+                .filter(value => !isNaN(value));
+
+            // A loop rather than Math.min(...numbers): spreading large local datasets overflows the call stack
+            const totals = numbers.reduce((acc, value) => {
+                acc.sum += value;
+                if (acc.min === null || value < acc.min) acc.min = value;
+                if (acc.max === null || value > acc.max) acc.max = value;
+                return acc;
+            }, { sum: 0, min: null, max: null });
+            const values = {
+                ...totals,
+                avg: numbers.length ? totals.sum / numbers.length : null,
+                count: numbers.length
+            };
+
+            result[field] = {};
+            fns.forEach(fn => { result[field][fn] = values[fn]; });
+        });
+
+        return result;
+    }
+
+    /**
+     * Totals and per-group counts / aggregates for a set of rows, in the `meta` shape described above.
+     * Used by DSTableLocal for `meta.grand_aggregates` / `meta.grand_groups` over every matching row.
+     * @param {Object[]} rows
+     * @returns {{aggregates: Object, groups: Object}}
+     */
+    summarize(rows) {
+        const groups = {};
+
+        this.levels.forEach((level, depth) => {
+            const buckets = new Map();
+            rows.forEach(row => {
+                const path = this._pathOf(row, depth);
+                if (!buckets.has(path)) buckets.set(path, []);
+                buckets.get(path).push(row);
+            });
+            buckets.forEach((members, path) => {
+                groups[path] = { count: members.length, aggregates: this.aggregate(members) };
+            });
+        });
+
+        return { aggregates: this.aggregate(rows), groups };
+    }
+
+    _pathOf(row, depth) {
+        return this.levels.slice(0, depth + 1).map(level => this._valueOf(row, level)).join('|');
+    }
+
+    /**
+     * Sorts that keep groups together, for queries that sort before paginating.
+     * Levels computed by a `value` function sort by their `sort` field, if they name one.
+     * @returns {{column: string, direction: string}[]}
+     */
+    getSorts() {
+        return this.levels
+            .filter(level => typeof level.value !== 'function' || level.sort)
+            .map(level => ({ column: level.sort || level.key, direction: level.direction || 'asc' }));
+    }
+
+    // ================= RENDERING =================
+
+    /**
+     * Regroup the rendered rows and refresh the totals row
+     */
+    apply() {
+        const tbody = this.table.tbody;
+        if (!tbody) return;
+
+        tbody.querySelectorAll(':scope > tr[data-ds-row="group"]').forEach(tr => tr.remove());
+        this._renderTotals();
+
+        const rows = this.table.getRowElements();
+        if (!this.levels.length || !rows.length) return;
+
+        // Each data row travels with the module rows that follow it (detail rows)
+        const items = rows.map(tr => {
+            const followers = [];
+            let next = tr.nextElementSibling;
+            while (next && !next.dataset.dsIndex && next.dataset.dsRow) {
+                followers.push(next);
+                next = next.nextElementSibling;
+            }
+            return { tr, followers, row: this.table.data[parseInt(tr.dataset.dsIndex)] || {} };
+        });
+
+        const fragment = document.createDocumentFragment();
+        this._buildGroups(items, 0, []).forEach(node => fragment.appendChild(node));
+        tbody.appendChild(fragment);
+        this._syncCollapsed();
+    }
+
+    /**
+     * Header rows and member rows for one level, in order of first appearance
+     */
+    _buildGroups(items, depth, parents) {
+        const level = this.levels[depth];
+        const buckets = new Map();
+        items.forEach(item => {
+            const value = this._valueOf(item.row, level);
+            if (!buckets.has(value)) buckets.set(value, []);
+            buckets.get(value).push(item);
+        });
+
+        const nodes = [];
+        buckets.forEach((members, value) => {
+            const values = [...parents, value];
+            nodes.push(this._buildHeader(values, members, depth));
+
+            if (depth + 1 < this.levels.length) {
+                nodes.push(...this._buildGroups(members, depth + 1, values));
+            } else {
+                members.forEach(item => {
+                    item.tr.dataset.dsGroupOf = values.join('|');
+                    nodes.push(item.tr, ...item.followers);
+                });
+            }
+        });
+        return nodes;
+    }
+
+    _buildHeader(values, members, depth) {
+        const escape = DSTableTemplate.escape;
+        const path = values.join('|');
+        const value = values[values.length - 1];
+        const level = this.levels[depth];
+        const serverGroup = this.table.meta?.groups?.[path];
+        const rows = members.map(item => item.row);
+
+        const count = serverGroup?.count ?? rows.length;
+        const aggregates = serverGroup?.aggregates ?? this.aggregate(rows);
+
+        const label = escape(typeof level.label === 'function'
+            ? level.label(value, { path, count, rows, level: depth })
+            : (value === '' ? this.translations.empty : value));
+
+        const summary = Object.entries(this.aggregates)
+            .flatMap(([field, fns]) => fns.map(fn => {
+                const result = aggregates?.[field]?.[fn];
+                if (result === null || result === undefined) return '';
+                return `<span>${escape(this.translations[fn])} ${escape(this._fieldLabel(field))}: <strong>${this.format(result, field, fn)}</strong></span>`;
+            }))
+            .filter(Boolean)
+            .join('');
+
+        const tr = document.createElement('tr');
+        tr.className = 'ds-group-row bg-base-200';
+        tr.dataset.dsRow = 'group';
+        tr.dataset.dsGroup = path;
+        tr.dataset.dsLevel = String(depth);
+        tr.innerHTML = `
+            <td colspan="100%" style="padding-left: ${1 + depth * 1.5}rem">
+                <div class="flex flex-wrap items-center gap-2">
+                    <button type="button" class="btn btn-ghost btn-xs gap-1" data-ds-group-toggle>
+                        <span data-ds-group-icon></span>
+                        <span class="font-semibold">${label}</span>
+                    </button>
+                    <span class="badge badge-sm badge-ghost">${escape(Number(count).toLocaleString(this.table.config.columns_locale || undefined))}</span>
+                    ${summary ? `<span class="ml-auto flex flex-wrap gap-3 text-xs text-base-content/70">${summary}</span>` : ''}
+                </div>
+            </td>`;
+        return tr;
+    }
+
+    /**
+     * `<tfoot>` row with page totals (or `meta.aggregates`), one cell per header cell
+     */
+    _renderTotals() {
+        const table = this.table.table;
+        table.tFoot?.querySelector('tr[data-ds-row="totals"]')?.remove();
+        if (!this.showTotals || !Object.keys(this.aggregates).length || !this.table.data.length) return;
+
+        const totals = this.table.meta?.aggregates ?? this.aggregate(this.table.data);
+        const escape = DSTableTemplate.escape;
+
+        // Cells are built in the original column order; DSTableColumnLayout moves them like any other row
+        const headers = this.table.getHeaderCells();
+        const keys = this.table.modules.columnLayout?.originalOrder || headers.map(th => th.dataset.dsColumn);
+        const fieldOf = (key) => {
+            const th = headers.find(cell => cell.dataset.dsColumn === key);
+            return th?.dataset.key || th?.dataset.sort || key;
+        };
+
+        const tr = document.createElement('tr');
+        tr.className = 'ds-totals-row font-semibold';
+        tr.dataset.dsRow = 'totals';
+
+        let labelled = false;
+        keys.forEach(key => {
+            const td = document.createElement('td');
+            const field = fieldOf(key);
+            const fns = this.aggregates[field];
+
+            if (fns) {
+                td.innerHTML = fns
+                    .map(fn => totals?.[field]?.[fn])
+                    .map((value, i) => value === null || value === undefined ? '' : `<div>${fns.length > 1 ? `<span class="font-normal text-base-content/70">${escape(this.translations[fns[i]])}</span> ` : ''}${this.format(value, field, fns[i])}</div>`)
+                    .join('');
+            } else if (!labelled) {
+                td.textContent = this.translations.total;
+                labelled = true;
+            }
+            tr.appendChild(td);
+        });
+
+        const tfoot = table.tFoot || table.createTFoot();
+        tfoot.appendChild(tr);
+    }
+
+    /**
+     * Format an aggregate value. `group_format(value, field, fn)` wins; number / currency columns keep their format.
+     * @returns {string} HTML
+     */
+    format(value, field, fn) {
+        const custom = this.table.config.group_format;
+        if (typeof custom === 'function') return String(custom(value, field, fn) ?? '');
+
+        const column = this.table.modules.columns?.getColumn(field);
+        if (fn !== 'count' && column && ['number', 'currency'].includes(column.type)) {
+            const row = {};
+            field.split('.').reduce((obj, part, i, parts) => (obj[part] = i === parts.length - 1 ? value : {}), row);
+            return this.table.modules.columns.renderValue(column, row);
+        }
+
+        const formatted = Number(value).toLocaleString(this.table.config.columns_locale || undefined, { maximumFractionDigits: 2 });
+        return DSTableTemplate.escape(formatted);
+    }
+
+    _fieldLabel(field) {
+        const column = this.table.modules.columns?.getColumn(field);
+        if (column?.title) return column.title;
+
+        const th = this.table.getHeaderCells().find(cell => cell.dataset.key === field || cell.dataset.sort === field);
+        return th ? this.table.getHeaderLabel(th) : field;
+    }
+
+    // ================= COLLAPSING =================
+
+    isCollapsed(path) {
+        return this.collapsedByDefault !== this.toggled.has(String(path));
+    }
+
+    /**
+     * Hide rows under collapsed groups and update the toggles
+     */
+    _syncCollapsed() {
+        const tbody = this.table.tbody;
+        const hiddenUnder = (path) => {
+            const parts = path.split('|');
+            // A row is hidden when any ancestor group (excluding itself for headers) is collapsed
+            return parts.some((part, i) => this.isCollapsed(parts.slice(0, i + 1).join('|')));
+        };
+
+        let currentGroup = null;
+        Array.from(tbody.children).forEach(tr => {
+            if (tr.dataset.dsRow === 'group') {
+                const path = tr.dataset.dsGroup;
+                const collapsed = this.isCollapsed(path);
+
+                tr.hidden = tr.dataset.dsLevel !== '0' && hiddenUnder(path.split('|').slice(0, -1).join('|'));
+                const btn = tr.querySelector('[data-ds-group-toggle]');
+                btn.setAttribute('aria-expanded', collapsed ? 'false' : 'true');
+                btn.setAttribute('aria-label', collapsed ? this.translations.expand : this.translations.collapse);
+                btn.querySelector('[data-ds-group-icon]').innerHTML = this.table._renderIcon(collapsed ? this.icons.expand : this.icons.collapse, 'text-lg');
+                return;
+            }
+
+            // Data rows carry their group; the detail rows that follow share it
+            if (tr.dataset.dsGroupOf !== undefined) currentGroup = tr.dataset.dsGroupOf;
+            if (currentGroup !== null) tr.hidden = hiddenUnder(currentGroup);
+        });
+    }
+
+    // ================= PUBLIC API =================
+
+    /**
+     * Collapse / expand a group by path ("paid", or "paid|2024-01" for nested levels)
+     * @param {string} path
+     * @param {boolean} [collapsed] - Defaults to flipping the current state
+     */
+    toggle(path, collapsed) {
+        path = String(path);
+        const collapse = collapsed ?? !this.isCollapsed(path);
+        if (collapse === this.isCollapsed(path)) return;
+
+        if (collapse !== this.collapsedByDefault) this.toggled.add(path);
+        else this.toggled.delete(path);
+
+        this._syncCollapsed();
+        this.table._emit('groupToggle', { path, collapsed: collapse });
+    }
+
+    collapse(path) {
+        this.toggle(path, true);
+    }
+
+    expand(path) {
+        this.toggle(path, false);
+    }
+
+    collapseAll() {
+        this.collapsedByDefault = true;
+        this.toggled.clear();
+        this._syncCollapsed();
+    }
+
+    expandAll() {
+        this.collapsedByDefault = false;
+        this.toggled.clear();
+        this._syncCollapsed();
+    }
+
+    /**
+     * Change the grouping keys and reload
+     * @param {string|string[]|Object[]|null} groupBy
+     */
+    setGroupBy(groupBy) {
+        this.levels = this._normalizeLevels(groupBy);
+        this.toggled.clear();
+        this.table.loadData();
+    }
+
+    /**
+     * Group keys, outermost first
+     * @returns {string[]}
+     */
+    getGroupBy() {
+        return this.levels.map(level => level.key);
+    }
+}
+export default DSTableGrouping;
@@ -0,0 +1,46 @@
+import { DSForm } from '../DSForm.js';
+
+/**
+ * DSTableHttp
+ *
+ * JSON requests for the table modules that write to the server. Uses axios when the table is configured
+ * with `ajax_function: 'axios'`, fetch otherwise, and sends the Laravel CSRF token. Error statuses resolve
+ * like successes (`ok: false`) so callers can read validation messages; only network failures and aborts reject.
+ */
+export class DSTableHttp {
+    /**
+     * @param {Object} table - DSTable instance
+     * @param {string} method
+     * @param {string} url
+     * @param {Object} [payload] - JSON body
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<{ok: boolean, status: number, data: *}>}
+     */
+    static async request(table, method, url, payload, signal) {
+        const headers = {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json',
+            'X-Requested-With': 'XMLHttpRequest'
+        };
+        const csrf = DSForm.getCsrfToken();
+        if (csrf) headers['X-CSRF-TOKEN'] = csrf;
+
+        if (table.config.ajax_function === 'axios' && window.axios) {
+            const resp = await window.axios({ url, method, data: payload, headers, signal })
+                .catch(err => (err.response ? err.response : Promise.reject(err)));
+            return { ok: resp.status >= 200 && resp.status < 300, status: resp.status, data: resp.data };
+        }
+
+        const res = await fetch(url, {
+            method,
+            headers,
+            body: payload !== undefined ? JSON.stringify(payload) : undefined,
+            credentials: 'same-origin',
+            signal
+        });
+        let data = null;
+        try { data = await res.json(); } catch { data = {}; }
+        return { ok: res.ok, status: res.status, data };
+    }
+}
+export default DSTableHttp;
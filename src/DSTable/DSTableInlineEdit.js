@@ -0,0 +1,376 @@
+import { DSSelect } from '../DSSelect.js';
+import DSTableHttp from './DSTableHttp.js';
+import DSTableTemplate from './DSTableTemplate.js';
+
+/**
+ * DSTableInlineEdit
+ *
+ * Double-click an editable cell to edit it in place. Enter saves, Escape cancels.
+ * Saving PATCHes `{ field, value }` to `inline_edit_url` (with the CSRF header) and updates the row optimistically;
+ * failures roll the value back, and Laravel 422 messages are shown under the reopened editor.
+ *
+ * Editable cells come from column definitions (`editable: true | 'text' | 'number' | 'select' | 'dsselect' | ...`)
+ * or from template markup: `<td data-edit="select" data-field="status" data-edit-options='{"a":"Active"}'>`.
+ */
+export class DSTableInlineEdit {
+    static translations = {
+        error: 'Could not save the change.'
+    };
+
+    constructor(tableInstance) {
+        this.table = tableInstance;
+        this.table.registerModule('inlineEdit', this);
+
+        const config = this.table.config;
+        this.url = config.inline_edit_url || null; // '/api/users/{id}', {field} is also replaced
+        this.method = (config.inline_edit_method || 'PATCH').toUpperCase();
+        this.translations = { ...DSTableInlineEdit.translations, ...(config.inline_edit_translations || {}) };
+
+        // Open editor: { td, tr, row, index, field, type, oldValue, html, input, select }
+        this.editing = null;
+        // Saves in flight
+        this.saving = 0;
+
+        this._init();
+    }
+
+    _init() {
+        this.table.tbody?.addEventListener('dblclick', (e) => {
+            const td = e.target.closest('td[data-edit]');
+            if (!td || !this.table.tbody.contains(td) || this.editing?.td === td) return;
+            this.startEdit(td);
+        });
+
+        // Rows were replaced: an open editor belongs to a row that no longer exists
+        this.table.on('render', () => {
+            if (this.editing && !this.editing.td.isConnected) this._close();
+        });
+    }
+
+    // ================= EDITOR =================
+
+    /**
+     * Open the editor for a cell
+     * @param {HTMLTableCellElement} td
+     * @param {Object} [options]
+     * @param {*} [options.value] - Initial editor value (defaults to the row value)
+     * @param {string} [options.error] - Message shown under the editor
+     * @returns {boolean} Whether an editor was opened
+     */
+    startEdit(td, options = {}) {
+        const tr = td.closest('tr');
+        const index = parseInt(tr?.dataset.dsIndex);
+        const row = this.table.data[index];
+        if (!row) return false;
+
+        if (this.editing) this.cancel();
+
+        const field = this._getField(td);
+        if (!field) return false;
+
+        const settings = this._getSettings(td, field);
+        const oldValue = this.table._getNestedValue(row, field);
+        const value = options.value !== undefined ? options.value : oldValue;
+
+        this.editing = { td, tr, row, index, field, oldValue, html: td.innerHTML, ...settings, input: null, select: null };
+
+        td.innerHTML = '';
+        td.classList.add('ds-cell-editing');
+        this._renderEditor(value);
+        if (options.error) this._showError(td, options.error);
+
+        td.addEventListener('keydown', this._onKeydown);
+        td.addEventListener('focusout', this._onFocusout);
+        return true;
+    }
+
+    _renderEditor(value) {
+        const state = this.editing;
+        const escape = DSTableTemplate.escape;
+        const current = value === null || value === undefined ? '' : String(value);
+
+        if (state.type === 'dsselect') {
+            const container = document.createElement('div');
+            container.dataset.name = state.field;
+            state.td.appendChild(container);
+
+            state.select = new DSSelect(container, {
+                options: state.options || [],
+                clearable: false,
+                ...state.editConfig,
+                initialValue: current
+            });
+            state.select.on('change', () => this.save());
+            state.select.elements?.search?.focus();
+            state.select.open();
+            return;
+        }
+
+        let input;
+        if (state.type === 'select') {
+            input = document.createElement('select');
+            input.className = 'select select-sm select-bordered w-full';
+            input.innerHTML = this._normalizeOptions(state.options).map(option =>
+                `<option value="${escape(option.value)}"${String(option.value) === current ? ' selected' : ''}>${escape(option.label)}</option>`
+            ).join('');
+            input.addEventListener('change', () => this.save());
+        } else if (state.type === 'textarea') {
+            input = document.createElement('textarea');
+            input.className = 'textarea textarea-sm textarea-bordered w-full';
+            input.value = current;
+        } else {
+            input = document.createElement('input');
+            input.type = state.type === 'text' ? 'text' : state.type;
+            input.className = 'input input-sm input-bordered w-full';
+            input.value = state.type === 'date' ? current.slice(0, 10) : current;
+        }
+
+        Object.entries(state.editConfig || {}).forEach(([attr, attrValue]) => input.setAttribute(attr, attrValue));
+        input.setAttribute('aria-label', state.field);
+
+        state.input = input;
+        state.td.appendChild(input);
+        input.focus();
+        if (typeof input.select === 'function' && input.tagName === 'INPUT') input.select();
+    }
+
+    _onKeydown = (e) => {
+        if (!this.editing) return;
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.cancel();
+        } else if (e.key === 'Enter') {
+            // Textareas keep Enter for new lines; Ctrl/Cmd+Enter saves
+            if (this.editing.type === 'textarea' && !(e.ctrlKey || e.metaKey)) return;
+            // DSSelect handles Enter itself and saves on change
+            if (this.editing.type === 'dsselect') return;
+            e.preventDefault();
+            this.save();
+        }
+    };
+
+    _onFocusout = (e) => {
+        if (!this.editing) return;
+        const td = this.editing.td;
+        // Focus moved to something outside the cell (DSSelect's dropdown lives inside it)
+        if (e.relatedTarget && td.contains(e.relatedTarget)) return;
+        setTimeout(() => {
+            if (this.editing?.td === td && !td.contains(document.activeElement)) this.cancel();
+        }, 0);
+    };
+
+    _close() {
+        const state = this.editing;
+        if (!state) return;
+
+        this.editing = null;
+        state.td.removeEventListener('keydown', this._onKeydown);
+        state.td.removeEventListener('focusout', this._onFocusout);
+        state.td.classList.remove('ds-cell-editing');
+        if (state.select) state.select.destroy();
+    }
+
+    /**
+     * Close the editor without saving
+     */
+    cancel() {
+        const state = this.editing;
+        if (!state) return;
+
+        this._close();
+        state.td.innerHTML = state.html;
+    }
+
+    // ================= SAVING =================
+
+    /**
+     * Save the open editor
+     * @returns {Promise<boolean>} Whether the change was saved
+     */
+    async save() {
+        const state = this.editing;
+        if (!state) return false;
+
+        const raw = state.select ? state.select.getValue() : state.input.value;
+        const value = this._coerce(raw, state.type, state.oldValue);
+
+        this._close();
+
+        if (String(value ?? '') === String(state.oldValue ?? '')) {
+            state.td.innerHTML = state.html;
+            return false;
+        }
+
+        // Optimistic update
+        const { row, field, oldValue } = state;
+        this._setNestedValue(row, field, value);
+        let tr = this._rerender(state);
+        tr?.classList.add('opacity-60');
+
+        const url = this._getUrl(state);
+        if (!url) {
+            // Local tables without an endpoint only update the data
+            tr?.classList.remove('opacity-60');
+            this.table._emit('cellEdited', { row, index: state.index, field, oldValue, value, response: null });
+            return true;
+        }
+
+        this.saving++;
+        try {
+            const { ok, status, data } = await this._send(url, { field, value });
+
+            if (!ok) {
+                const message = this._errorMessage(data, field);
+                throw Object.assign(new Error(message), { status, data });
+            }
+
+            // The server may answer with the updated row ({ data: {...} })
+            if (data?.data && typeof data.data === 'object' && !Array.isArray(data.data)) {
+                Object.assign(row, data.data);
+            }
+            tr = this._rerender(state);
+
+            this.table._emit('cellEdited', { row, index: state.index, field, oldValue, value: this.table._getNestedValue(row, field), response: data });
+            return true;
+        } catch (error) {
+            // Roll back the optimistic edit
+            this._setNestedValue(row, field, oldValue);
+            tr = this._rerender(state);
+
+            const message = error?.message || this.translations.error;
+            const td = tr ? this._findCell(tr, field) : null;
+
+            if (error?.status === 422 && td) {
+                // Validation: let the user correct the value
+                this.startEdit(td, { value, error: message });
+            } else if (td) {
+                this._showError(td, message);
+            }
+
+            this.table._emit('cellEditError', { row, index: state.index, field, value, oldValue, error, status: error?.status ?? null, errors: error?.data?.errors || null });
+            return false;
+        } finally {
+            this.saving--;
+            tr?.classList.remove('opacity-60');
+        }
+    }
+
+    /**
+     * Re-render the edited row if it is still on screen
+     * @returns {HTMLTableRowElement|null}
+     */
+    _rerender(state) {
+        if (this.table.data[state.index] !== state.row) return null;
+        return this.table.updateRow(state.index);
+    }
+
+    _send(url, payload) {
+        return DSTableHttp.request(this.table, this.method, url, payload);
+    }
+
+    _errorMessage(data, field) {
+        const errors = data?.errors || {};
+        const fieldErrors = errors[field] || errors.value || Object.values(errors)[0];
+        if (fieldErrors) return Array.isArray(fieldErrors) ? fieldErrors[0] : String(fieldErrors);
+        return data?.message || this.translations.error;
+    }
+
+    _showError(td, message) {
+        td.querySelector('.ds-cell-error')?.remove();
+        const error = document.createElement('div');
+        error.className = 'ds-cell-error text-error text-xs mt-1';
+        error.setAttribute('role', 'alert');
+        error.textContent = message;
+        td.appendChild(error);
+    }
+
+    // ================= HELPERS =================
+
+    _getField(td) {
+        if (td.dataset.field) return td.dataset.field;
+        if (td.dataset.key) return td.dataset.key;
+
+        // Fall back to the header key of the cell's column
+        const th = this.table.getHeaderCells()[td.cellIndex];
+        return th?.dataset.key || th?.dataset.sort || null;
+    }
+
+    /**
+     * Editor type, options, URL and extra config from the column definition or the cell's data attributes
+     */
+    _getSettings(td, field) {
+        const column = this.table.modules.columns?.getColumn(td.dataset.key || field);
+        let options = column?.editOptions ?? null;
+
+        if (!options && td.dataset.editOptions) {
+            try {
+                options = JSON.parse(td.dataset.editOptions);
+            } catch (e) {
+                console.warn('DSTableInlineEdit: Invalid data-edit-options JSON', e);
+            }
+        }
+
+        return {
+            type: td.dataset.edit && td.dataset.edit !== 'true' ? td.dataset.edit : 'text',
+            options,
+            editUrl: td.dataset.editUrl || column?.editUrl || null,
+            editConfig: column?.editConfig || {}
+        };
+    }
+
+    _getUrl(state) {
+        const template = state.editUrl || this.url;
+        if (!template) return null;
+
+        const id = this.table._getNestedValue(state.row, this.table.config.row_key || 'id');
+        return String(template)
+            .replace(/\{id\}/g, encodeURIComponent(id ?? ''))
+            .replace(/\{field\}/g, encodeURIComponent(state.field));
+    }
+
+    _findCell(tr, field) {
+        return Array.from(tr.querySelectorAll('td[data-edit]')).find(td => this._getField(td) === field) || null;
+    }
+
+    /**
+     * [{ value, label }] from an array of values / objects or a { value: label } map
+     */
+    _normalizeOptions(options) {
+        if (!options) return [];
+        if (Array.isArray(options)) {
+            return options.map(option => option !== null && typeof option === 'object'
+                ? { value: option.value ?? option.id, label: option.label ?? option.name ?? option.value ?? option.id }
+                : { value: option, label: option });
+        }
+        return Object.entries(options).map(([value, label]) => ({ value, label }));
+    }
+
+    _coerce(value, type, oldValue) {
+        if (type === 'number') return value === '' || value === null ? null : Number(value);
+        if (typeof oldValue === 'number' && value !== '' && value !== null && !isNaN(Number(value))) return Number(value);
+        if (typeof oldValue === 'boolean') return value === true || value === 'true' || value === '1';
+        return value;
+    }
+
+    _setNestedValue(obj, path, value) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const target = keys.reduce((o, key) => {
+            if (o[key] === null || typeof o[key] !== 'object') o[key] = {};
+            return o[key];
+        }, obj);
+        target[last] = value;
+    }
+
+    // ================= PUBLIC API =================
+
+    /**
+     * Whether an editor is open or a save is in flight
+     * @returns {boolean}
+     */
+    isEditing() {
+        return !!this.editing || this.saving > 0;
+    }
+}
+export default DSTableInlineEdit;
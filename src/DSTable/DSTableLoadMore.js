@@ -0,0 +1,158 @@
+/**
+ * DSTableLoadMore
+ *
+ * Append-mode pagination: the next page is added below the current rows instead of replacing them.
+ * Triggered by a "Load more" button (`load_more: 'button'`) or automatically when a
+ * sentinel below the table scrolls into view (`load_more: 'scroll'`).
+ * Works with DSTable and DSGridOrTable, for length-aware, simple and cursor responses.
+ */
+export class DSTableLoadMore {
+    static translations = {
+        button: 'Load more',
+        loading: 'Loading...',
+        end: 'No more records',
+        error: 'Could not load more records. Try again.'
+    };
+
+    constructor(tableInstance) {
+        this.table = tableInstance;
+        this.table.registerModule('loadMore', this);
+        this.wrapper = this.table.wrapper;
+
+        this.mode = this.table.config.load_more === 'scroll' ? 'scroll' : 'button';
+        this.translations = { ...DSTableLoadMore.translations, ...(this.table.config.load_more_translations || {}) };
+
+        // Pages currently shown, in load order
+        this.loadedPages = [];
+        this.hasMore = false;
+        this.isAppending = false;
+        this.failed = false;
+
+        this.container = null;
+        this.observer = null;
+
+        this._init();
+    }
+
+    _init() {
+        this.container = this.wrapper.querySelector('.ds-table-load-more');
+        if (!this.container) {
+            this.container = document.createElement('div');
+            this.container.className = 'ds-table-load-more';
+            this.wrapper.appendChild(this.container);
+        }
+
+        this.container.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-load-more]');
+            if (!btn) return;
+            e.preventDefault();
+            this.loadMore();
+        });
+
+        if (this.mode === 'scroll' && 'IntersectionObserver' in window) {
+            this.observer = new IntersectionObserver((entries) => {
+                if (entries.some(entry => entry.isIntersecting)) this.loadMore();
+            }, { rootMargin: this.table.config.load_more_margin || '200px' });
+        }
+
+        // Errors on appended pages keep the existing rows; offer a retry instead.
+        // Any failed load ends a pending append (it may have been replaced by the load that failed).
+        this.table.on('loadError', (e) => {
+            this.isAppending = false;
+            if (e.detail?.append) this.failed = true;
+            this._render();
+        });
+    }
+
+    onBeforeLoad(params, context = {}) {
+        if (context.append) return;
+
+        // Any load that replaces the rows (search, sort, filters, page size, reload) starts over from the first page:
+        // loadMore() leaves `page` / `cursor` on the last appended page
+        this.loadedPages = [];
+        this.hasMore = false;
+        this.failed = false;
+        this.isAppending = false;
+        params.page = 1;
+        if (params.cursor !== undefined) params.cursor = null;
+    }
+
+    onDataLoaded(response, context = {}) {
+        const meta = this.table.meta || {};
+
+        this.isAppending = false;
+        this.failed = false;
+        this.loadedPages.push(parseInt(meta.current_page || this.table.getParam('page')) || this.loadedPages.length + 1);
+        this.hasMore = this._hasMorePages(meta);
+
+        this._render();
+    }
+
+    _hasMorePages(meta) {
+        if (meta.next_cursor !== undefined) return !!meta.next_cursor;
+        if (meta.last_page !== undefined && meta.current_page !== undefined) {
+            return parseInt(meta.current_page) < parseInt(meta.last_page);
+        }
+        return !!meta.next_page_url;
+    }
+
+    _render() {
+        if (this.observer) this.observer.disconnect();
+
+        const showButton = this.mode === 'button' || !this.observer || this.failed;
+        let html = '';
+
+        if (this.isAppending) {
+            html = `<span class="loading loading-spinner loading-sm"></span><span class="text-sm text-base-content/70">${this.translations.loading}</span>`;
+        } else if (this.failed) {
+            html = `<span class="text-sm text-error">${this.translations.error}</span>
+                    <button type="button" class="btn btn-sm btn-outline" data-load-more>${this.translations.button}</button>`;
+        } else if (this.hasMore) {
+            html = showButton
+                ? `<button type="button" class="btn btn-sm btn-outline" data-load-more>${this.translations.button}</button>`
+                : '<div class="ds-table-load-more-sentinel h-px w-full"></div>';
+        } else if (this.loadedPages.length > 1) {
+            html = `<span class="text-sm text-base-content/50">${this.translations.end}</span>`;
+        }
+
+        this.container.innerHTML = html
+            ? `<div class="flex justify-center items-center gap-2 py-4">${html}</div>`
+            : '';
+
+        const sentinel = this.container.querySelector('.ds-table-load-more-sentinel');
+        if (sentinel && this.observer) this.observer.observe(sentinel);
+    }
+
+    // ================= PUBLIC API =================
+
+    /**
+     * Append the next page
+     */
+    loadMore() {
+        if (!this.hasMore || this.isAppending || this.table.isLoading) return;
+
+        const meta = this.table.meta || {};
+        const lastPage = this.loadedPages[this.loadedPages.length - 1] || 1;
+
+        if (meta.next_cursor) this.table.setParam('cursor', meta.next_cursor);
+        this.table.setParam('page', lastPage + 1);
+
+        this.isAppending = true;
+        this._render();
+        this.table.loadData({ append: true });
+    }
+
+    /**
+     * Pages currently shown
+     * @returns {number[]}
+     */
+    getLoadedPages() {
+        return [...this.loadedPages];
+    }
+
+    destroy() {
+        if (this.observer) this.observer.disconnect();
+        this.container.innerHTML = '';
+    }
+}
+export default DSTableLoadMore;
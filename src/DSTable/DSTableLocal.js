@@ -0,0 +1,285 @@
+/**
+ * DSTableLocal
+ *
+ * In-browser query engine used when `table_source` is 'json' or 'html'.
+ * Applies search, sort, filters and pagination to a local dataset and
+ * returns the same `{ data, meta }` shape a Laravel paginator would.
+ */
+export class DSTableLocal {
+    constructor(tableInstance) {
+        this.table = tableInstance;
+        this.table.registerModule('local', this);
+
+        // Full (unfiltered) dataset
+        this.rows = [];
+
+        this._init();
+    }
+
+    _init() {
+        const config = this.table.config;
+
+        if (config.table_source === 'html') {
+            // Must run before the first loadData(), which replaces tbody with a skeleton
+            this.rows = this._parseHtml();
+
+            // Re-use the original markup unless a row template was configured
+            const hasFunction = config.template_source === 'function' && typeof config.template_function === 'function';
+            const hasHtml = config.template_source === 'html' && config.template_html;
+            if (!hasFunction && !hasHtml) {
+                config.template_source = 'response';
+                config.template_response = '_html';
+            }
+        } else {
+            this.rows = Array.isArray(config.data) ? [...config.data] : [];
+        }
+    }
+
+    // ================= PARSING =================
+
+    /**
+     * Column keys taken from `thead th[data-key]` or `th[data-sort]`, falling back to `col_{index}`
+     * @returns {string[]}
+     */
+    _getColumnKeys() {
+        const headers = this.table.table.querySelectorAll('thead th');
+        return Array.from(headers).map((th, i) => th.dataset.key || th.dataset.sort || `col_${i}`);
+    }
+
+    /**
+     * Convert existing tbody rows into plain objects.
+     * A cell's `data-value` attribute takes precedence over its text (useful for dates / numbers).
+     * @returns {Object[]}
+     */
+    _parseHtml() {
+        if (!this.table.tbody) return [];
+
+        const keys = this._getColumnKeys();
+        const rows = Array.from(this.table.tbody.querySelectorAll('tr'));
+
+        return rows.map(tr => {
+            const row = { _html: tr.outerHTML };
+
+            Array.from(tr.cells).forEach((td, i) => {
+                const key = keys[i] || `col_${i}`;
+                row[key] = td.dataset.value !== undefined ? td.dataset.value : td.textContent.trim();
+            });
+
+            if (tr.dataset.id !== undefined) row.id = tr.dataset.id;
+
+            return row;
+        });
+    }
+
+    // ================= QUERY =================
+
+    /**
+     * Run the current params against the local dataset
+     * @param {Object} params - DSTable params
+     * @returns {{data: Object[], meta: Object}}
+     */
+    query(params) {
+        let rows = this.rows.filter(row => this._matchesSearch(row, params.search) && this._matchesFilters(row, params));
+
+        // Grouped tables sort by their group keys first so every group stays together across pages
+        const grouping = this.table.modules.grouping;
+        const sorts = [...(grouping ? grouping.getSorts() : []), ...this._getSorts(params)];
+        if (sorts.length > 0) {
+            rows = rows
+                .map((row, index) => ({ row, index }))
+                .sort((a, b) => {
+                    for (const { column, direction } of sorts) {
+                        const result = this._compare(this._getValue(a.row, column), this._getValue(b.row, column));
+                        if (result !== 0) return direction === 'desc' ? -result : result;
+                    }
+                    return a.index - b.index; // Keep sort stable
+                })
+                .map(item => item.row);
+        }
+
+        const result = this._paginate(rows, params);
+        // Group headers and the totals row show the page; the totals over every matching row are kept beside them
+        if (grouping) {
+            const summary = grouping.summarize(rows);
+            result.meta.grand_aggregates = summary.aggregates;
+            result.meta.grand_groups = summary.groups;
+        }
+        return result;
+    }
+
+    _matchesSearch(row, search) {
+        if (search === null || search === undefined || String(search).trim() === '') return true;
+
+        const term = String(search).trim().toLowerCase();
+        const fields = this.table.config.local_search_fields ||
+            Object.keys(row).filter(key => !key.startsWith('_'));
+
+        return fields.some(field => {
+            const value = this._getValue(row, field);
+            if (value === null || value === undefined || typeof value === 'object') return false;
+            return String(value).toLowerCase().includes(term);
+        });
+    }
+
+    _matchesFilters(row, params) {
+        const custom = this.table.config.local_filter;
+        if (typeof custom === 'function' && !custom(row, params)) return false;
+
+        // DSTableFilter stores each filter at the top level of params, keyed by its filter_selectors key
+        const filters = { ...(params.filters || {}) };
+        Object.keys(this.table.config.filter_selectors || {}).forEach(key => {
+            filters[key] = params[key];
+        });
+
+        // Filter builder clauses ({ field, operator, value }), all of which must match
+        const clauses = params[this.table.config.filter_builder_param || 'where'];
+        if (Array.isArray(clauses) && !clauses.every(clause => this._matchesClause(row, clause))) return false;
+
+        return Object.entries(filters).every(([key, expected]) => {
+            if (this._isEmptyFilter(expected)) return true;
+
+            const value = this._getValue(row, key);
+
+            if (Array.isArray(expected)) {
+                return expected.map(String).includes(String(value));
+            }
+            if (expected === true) return !!value;
+
+            return String(value) === String(expected);
+        });
+    }
+
+    /**
+     * @param {Object} row
+     * @param {{field: string, operator: string, value: *}} clause
+     * @returns {boolean}
+     */
+    _matchesClause(row, clause) {
+        if (!clause || !clause.field) return true;
+
+        const actual = this._normalizeBoolean(this._getValue(row, clause.field));
+        const expected = clause.value;
+        const isEmpty = actual === null || actual === undefined || actual === '';
+        const text = String(actual ?? '').toLowerCase();
+        const list = (Array.isArray(expected) ? expected : String(expected ?? '').split(','))
+            .map(item => String(item).trim())
+            .filter(item => item !== '');
+
+        switch (clause.operator) {
+            case 'empty': return isEmpty;
+            case 'not_empty': return !isEmpty;
+            case 'in': return !isEmpty && list.includes(String(actual));
+            case 'not_in': return isEmpty || !list.includes(String(actual));
+            case 'neq': return isEmpty || this._compareClause(actual, expected) !== 0;
+        }
+
+        if (isEmpty) return false;
+
+        switch (clause.operator) {
+            case 'contains': return text.includes(String(expected ?? '').toLowerCase());
+            case 'starts_with': return text.startsWith(String(expected ?? '').toLowerCase());
+            case 'ends_with': return text.endsWith(String(expected ?? '').toLowerCase());
+            case 'gt': return this._compareClause(actual, expected) > 0;
+            case 'gte': return this._compareClause(actual, expected) >= 0;
+            case 'lt': return this._compareClause(actual, expected) < 0;
+            case 'lte': return this._compareClause(actual, expected) <= 0;
+            case 'between': {
+                const { from, to } = expected || {};
+                return (this._isEmptyFilter(from) || this._compareClause(actual, from) >= 0) &&
+                    (this._isEmptyFilter(to) || this._compareClause(actual, to) <= 0);
+            }
+            default: return this._compareClause(actual, expected) === 0; // eq
+        }
+    }
+
+    /**
+     * Compare a row value with a clause value. A plain date ("2024-03-31") matches the whole day of a datetime value.
+     */
+    _compareClause(actual, expected) {
+        expected = this._normalizeBoolean(expected);
+        if (/^\d{4}-\d{2}-\d{2}$/.test(String(expected)) && /^\d{4}-\d{2}-\d{2}[T ]/.test(String(actual))) {
+            actual = String(actual).slice(0, 10);
+        }
+        return this._compare(actual, expected);
+    }
+
+    _normalizeBoolean(value) {
+        if (value === true) return '1';
+        if (value === false) return '0';
+        return value;
+    }
+
+    _isEmptyFilter(value) {
+        if (Array.isArray(value)) return value.length === 0;
+        return value === null || value === undefined || value === '' || value === 'null';
+    }
+
+    /**
+     * @param {Object} params
+     * @returns {{column: string, direction: string}[]}
+     */
+    _getSorts(params) {
+        if (Array.isArray(params.sorts) && params.sorts.length > 0) {
+            return params.sorts.filter(s => s && s.column);
+        }
+        if (!params.sort_by) return [];
+        return [{ column: params.sort_by, direction: params.sort_order || 'asc' }];
+    }
+
+    _compare(a, b) {
+        const aEmpty = a === null || a === undefined || a === '';
+        const bEmpty = b === null || b === undefined || b === '';
+        if (aEmpty || bEmpty) return aEmpty === bEmpty ? 0 : (aEmpty ? -1 : 1);
+
+        const aNum = Number(a);
+        const bNum = Number(b);
+        if (!isNaN(aNum) && !isNaN(bNum)) return aNum - bNum;
+
+        return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+    }
+
+    _paginate(rows, params) {
+        const total = rows.length;
+        const perPage = parseInt(params.per_page) || total || 1;
+        const lastPage = Math.max(1, Math.ceil(total / perPage));
+        const currentPage = Math.min(Math.max(1, parseInt(params.page) || 1), lastPage);
+        const start = (currentPage - 1) * perPage;
+        const data = rows.slice(start, start + perPage);
+
+        return {
+            data,
+            meta: {
+                current_page: currentPage,
+                last_page: lastPage,
+                per_page: perPage,
+                from: data.length ? start + 1 : null,
+                to: data.length ? start + data.length : null,
+                total
+            }
+        };
+    }
+
+    _getValue(row, key) {
+        return this.table._getNestedValue(row, key);
+    }
+
+    // ================= PUBLIC API =================
+
+    /**
+     * Replace the local dataset and reload from page 1
+     * @param {Object[]} rows
+     */
+    setData(rows) {
+        this.rows = Array.isArray(rows) ? [...rows] : [];
+        this.table.refresh();
+    }
+
+    /**
+     * Get the full (unfiltered) local dataset
+     * @returns {Object[]}
+     */
+    getData() {
+        return this.rows;
+    }
+}
+export default DSTableLocal;
@@ -4,6 +4,16 @@ export class DSTablePagination {
         this.table.registerModule('pagination', this);
         this.wrapper = this.table.wrapper;
         this.container = null;
+
+        // Page size selector, e.g. [10, 25, 50, 100]
+        this.perPageOptions = Array.isArray(this.table.config.per_page_options) ? this.table.config.per_page_options : null;
+
+        // length-aware (paginate) | simple (simplePaginate) | cursor (cursorPaginate)
+        this.mode = this.table.config.pagination_mode || 'length-aware';
+        if (this.mode === 'cursor' && this.table.getParam('cursor') === undefined) {
+            this.table.setParam('cursor', null);
+        }
+
         this._init();
     }
 
@@ -26,11 +36,32 @@ export class DSTablePagination {
         // Bind events for static elements if any (usually dynamic)
     }
 
+    onBeforeLoad(params) {
+        // Search, sort, filter and page size changes all go back to page 1, which has no cursor
+        if (this.mode === 'cursor' && parseInt(params.page) === 1) {
+            params.cursor = null;
+        }
+    }
+
     onDataLoaded(response) {
-        this.render(response.meta);
+        // The table normalizes meta for both `{ data, meta }` and top-level paginator responses
+        const meta = this.table.meta || response?.meta;
+
+        // Respect the page size the server actually used (it may clamp or ignore ours)
+        const serverPerPage = parseInt(meta?.per_page);
+        if (serverPerPage && serverPerPage !== parseInt(this.table.getParam('per_page'))) {
+            this.table.setParam('per_page', serverPerPage);
+        }
+
+        this.render(meta);
     }
 
     render(meta) {
+        if (this.mode === 'simple' || this.mode === 'cursor') {
+            this._renderPrevNext(meta);
+            return;
+        }
+
         if (!meta || !meta.total) { // || meta.total === 0
             this.container.innerHTML = '';
             return;
@@ -47,12 +78,13 @@ export class DSTablePagination {
                     </div>
                 </div>
                 <div class="flex items-center gap-2">
-                    <div class="join">
+                    <nav class="join" aria-label="${this._label('pagination', 'Pagination')}">
                         ${this._buildButtons(current_page, last_page)}
-                    </div>
+                    </nav>
+                    ${this._buildPerPageSelect()}
                     <div class="flex items-center gap-2 ml-2">
-                        <span class="text-xs text-base-content/70">${this.table.config.pagination_translations.goto}</span>
-                        <input type="number" min="1" max="${last_page}" class="input input-sm input-bordered w-16 text-center page-goto" value="${current_page}">
+                        <span class="text-xs text-base-content/70" aria-hidden="true">${this.table.config.pagination_translations.goto}</span>
+                        <input type="number" min="1" max="${last_page}" class="input input-sm input-bordered w-16 text-center page-goto" value="${current_page}" aria-label="${this._label('goto_page', 'Go to page')}">
                     </div>
                 </div>
             </div>
@@ -61,11 +93,61 @@ export class DSTablePagination {
         this._bindEvents();
     }
 
+    /**
+     * Prev / next only controls for simplePaginate() and cursorPaginate() responses,
+     * which do not include `total` / `last_page`
+     */
+    _renderPrevNext(meta) {
+        if (!meta || (this.table.data.length === 0 && !meta.prev_cursor && !meta.prev_page_url)) {
+            this.container.innerHTML = '';
+            return;
+        }
+
+        const translations = this.table.config.pagination_translations;
+        const page = parseInt(meta.current_page || this.table.getParam('page')) || 1;
+
+        let hasPrev, hasNext, prevAttrs, nextAttrs;
+        if (this.mode === 'cursor') {
+            hasPrev = !!meta.prev_cursor;
+            hasNext = !!meta.next_cursor;
+            prevAttrs = `data-page="${Math.max(1, page - 1)}" data-cursor="${meta.prev_cursor || ''}"`;
+            nextAttrs = `data-page="${page + 1}" data-cursor="${meta.next_cursor || ''}"`;
+        } else {
+            hasPrev = page > 1 || !!meta.prev_page_url;
+            hasNext = !!meta.next_page_url;
+            prevAttrs = `data-page="${page - 1}"`;
+            nextAttrs = `data-page="${page + 1}"`;
+        }
+
+        let stats = '';
+        if (meta.from && meta.to) {
+            const text = translations.stats_simple || 'Showing {from} to {to}';
+            stats = text.replace('{from}', meta.from).replace('{to}', meta.to);
+        }
+
+        this.container.innerHTML = `
+            <div class="flex flex-col sm:flex-row justify-between items-center mt-4 pt-4 border-t border-base-200 gap-4">
+                <div class="flex items-center gap-4">
+                    <div class="text-sm text-base-content/70">${stats}</div>
+                </div>
+                <div class="flex items-center gap-2">
+                    <nav class="join" aria-label="${this._label('pagination', 'Pagination')}">
+                        <button class="join-item btn btn-sm ${hasPrev ? '' : 'btn-disabled'}" ${prevAttrs} aria-label="${this._label('prev_page', 'Previous page')}" ${hasPrev ? '' : 'aria-disabled="true"'}>« ${translations.prev}</button>
+                        <button class="join-item btn btn-sm ${hasNext ? '' : 'btn-disabled'}" ${nextAttrs} aria-label="${this._label('next_page', 'Next page')}" ${hasNext ? '' : 'aria-disabled="true"'}>${translations.next} »</button>
+                    </nav>
+                    ${this._buildPerPageSelect()}
+                </div>
+            </div>
+        `;
+
+        this._bindEvents();
+    }
+
     _buildButtons(current, last) {
         let buttons = '';
 
         // Prev
-        buttons += `<button class="join-item btn btn-sm ${current === 1 ? 'btn-disabled' : ''}" data-page="${current - 1}">«</button>`;
+        buttons += `<button class="join-item btn btn-sm ${current === 1 ? 'btn-disabled' : ''}" data-page="${current - 1}" aria-label="${this._label('prev_page', 'Previous page')}" ${current === 1 ? 'aria-disabled="true"' : ''}>«</button>`;
 
         // Simple logic: Show all if small, or sliding window
         // For brevity: 1, 2, 3 ... last
@@ -84,19 +166,46 @@ export class DSTablePagination {
 
         range.forEach(i => {
             if (i === '...') {
-                buttons += `<button class="join-item btn btn-sm btn-disabled">...</button>`;
+                buttons += `<button class="join-item btn btn-sm btn-disabled" tabindex="-1" aria-hidden="true">...</button>`;
             } else {
                 const isActive = i === current;
-                buttons += `<button class="join-item btn btn-sm ${isActive ? 'btn-active btn-disabled' : ''}" data-page="${i}">${i}</button>`;
+                const label = this._label('page', 'Page {page}').replace('{page}', i);
+                buttons += `<button class="join-item btn btn-sm ${isActive ? 'btn-active btn-disabled' : ''}" data-page="${i}" aria-label="${label}" ${isActive ? 'aria-current="page"' : ''}>${i}</button>`;
             }
         });
 
         // Next
-        buttons += `<button class="join-item btn btn-sm ${current === last ? 'btn-disabled' : ''}" data-page="${current + 1}">»</button>`;
+        buttons += `<button class="join-item btn btn-sm ${current === last ? 'btn-disabled' : ''}" data-page="${current + 1}" aria-label="${this._label('next_page', 'Next page')}" ${current === last ? 'aria-disabled="true"' : ''}>»</button>`;
 
         return buttons;
     }
 
+    _buildPerPageSelect() {
+        if (!this.perPageOptions || this.perPageOptions.length === 0) return '';
+
+        const current = parseInt(this.table.getParam('per_page'));
+        const options = [...new Set([...this.perPageOptions.map(Number), current])]
+            .filter(size => size > 0)
+            .sort((a, b) => a - b);
+        const label = this.table.config.pagination_translations.per_page || 'Per page';
+
+        return `
+            <div class="flex items-center gap-2 ml-2">
+                <span class="text-xs text-base-content/70">${label}</span>
+                <select class="select select-sm select-bordered w-20 page-size" aria-label="${label}">
+                    ${options.map(size => `<option value="${size}" ${size === current ? 'selected' : ''}>${size}</option>`).join('')}
+                </select>
+            </div>
+        `;
+    }
+
+    /**
+     * Accessible label from `pagination_translations`, with a fallback for translation objects that predate the key
+     */
+    _label(key, fallback) {
+        return this.table.config.pagination_translations[key] || fallback;
+    }
+
     _bindEvents() {
         // Buttons
         this.container.querySelectorAll('button[data-page]').forEach(btn => {
@@ -105,12 +214,29 @@ export class DSTablePagination {
                 if (btn.classList.contains('btn-disabled')) return;
                 const page = parseInt(btn.dataset.page);
                 if (page) {
+                    if (btn.dataset.cursor !== undefined) {
+                        this.table.setParam('cursor', btn.dataset.cursor || null);
+                    }
                     this.table.setParam('page', page);
                     this.table.loadData();
                 }
             });
         });
 
+        // Page size
+        const perPageSelect = this.container.querySelector('.page-size');
+        if (perPageSelect) {
+            perPageSelect.addEventListener('change', (e) => {
+                const perPage = parseInt(e.target.value);
+                if (!perPage) return;
+
+                this.table.setParam('per_page', perPage);
+                this.table.setParam('page', 1);
+                this.table._emit('perPageChange', { per_page: perPage });
+                this.table.loadData();
+            });
+        }
+
         // Go to input
         const gotoInput = this.container.querySelector('.page-goto');
         if (gotoInput) {
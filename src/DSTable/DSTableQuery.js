@@ -0,0 +1,98 @@
+/**
+ * DSTableQuery
+ *
+ * Query-string helpers using PHP/Laravel bracket notation, so nested params
+ * round-trip through `$request->input()`:
+ *   { filters: { status: 'a' }, ids: [1, 2] } <-> filters[status]=a&ids[]=1&ids[]=2
+ */
+export class DSTableQuery {
+    /**
+     * Serialize params to a query string. Empty values (null, undefined, '', []) are skipped.
+     * @param {Object} params
+     * @param {string} [prefix] - Prepended to every top-level key
+     * @returns {string}
+     */
+    static stringify(params, prefix = '') {
+        return DSTableQuery.toPairs(params, prefix)
+            .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+            .join('&');
+    }
+
+    /**
+     * Flatten params into [key, value] pairs using bracket notation
+     * @param {Object} params
+     * @param {string} [prefix] - Prepended to every top-level key
+     * @returns {Array<[string, string]>}
+     */
+    static toPairs(params, prefix = '') {
+        const pairs = [];
+        Object.entries(params || {}).forEach(([key, value]) => {
+            DSTableQuery._collect(`${prefix}${key}`, value, pairs);
+        });
+        return pairs;
+    }
+
+    static _collect(key, value, pairs) {
+        if (value === null || value === undefined || value === '') return;
+
+        if (Array.isArray(value)) {
+            const nested = value.some(item => item !== null && typeof item === 'object');
+            value.forEach((item, index) => {
+                DSTableQuery._collect(nested ? `${key}[${index}]` : `${key}[]`, item, pairs);
+            });
+        } else if (typeof value === 'object') {
+            Object.entries(value).forEach(([subKey, subValue]) => {
+                DSTableQuery._collect(`${key}[${subKey}]`, subValue, pairs);
+            });
+        } else {
+            pairs.push([key, String(value)]);
+        }
+    }
+
+    /**
+     * Parse a query string (or URLSearchParams) back into nested params
+     * @param {string|URLSearchParams} query
+     * @param {string} [prefix] - Only keys starting with this prefix are read (and it is stripped)
+     * @returns {Object}
+     */
+    static parse(query, prefix = '') {
+        const search = query instanceof URLSearchParams ? query : new URLSearchParams(query);
+        const result = {};
+
+        search.forEach((value, rawKey) => {
+            if (prefix && !rawKey.startsWith(prefix)) return;
+            const key = rawKey.slice(prefix.length);
+
+            const match = key.match(/^([^[]+)((?:\[[^\]]*\])*)$/);
+            if (!match) return;
+
+            const path = [match[1]];
+            (match[2].match(/\[([^\]]*)\]/g) || []).forEach(part => path.push(part.slice(1, -1)));
+
+            DSTableQuery._assign(result, path, value);
+        });
+
+        return result;
+    }
+
+    static _assign(target, path, value) {
+        let node = target;
+
+        path.forEach((segment, i) => {
+            const isLast = i === path.length - 1;
+            const key = segment === '' && Array.isArray(node) ? node.length : segment;
+
+            if (isLast) {
+                node[key] = value;
+                return;
+            }
+
+            if (node[key] === undefined || typeof node[key] !== 'object') {
+                const next = path[i + 1];
+                node[key] = next === '' || /^\d+$/.test(next) ? [] : {};
+            }
+            node = node[key];
+        });
+    }
+}
+export default DSTableQuery;
@@ -0,0 +1,297 @@
+import DSTableTemplate from './DSTableTemplate.js';
+
+/**
+ * DSTableResponsive
+ *
+ * Stacked-card mode for small screens. Below `responsive_breakpoint` the table gets the `ds-table-stacked`
+ * class: every row is shown as a card and every cell as a "label: value" line, the label coming from
+ * the cell's `data-label` (stamped from the header text, or the column title, on every render).
+ * The rows stay the same elements, so selection checkboxes, row actions, detail rows and inline editing keep working.
+ *
+ * The header is visually hidden in card mode, so a small toolbar takes over sorting and "select all".
+ * A matchMedia listener switches between the two layouts as the viewport changes.
+ */
+export class DSTableResponsive {
+    static translations = {
+        sort: 'Sort by',
+        default_order: 'Default order',
+        asc: 'Ascending',
+        desc: 'Descending',
+        select_all: 'Select all'
+    };
+
+    constructor(tableInstance) {
+        this.table = tableInstance;
+        this.table.registerModule('responsive', this);
+
+        const config = this.table.config;
+        const breakpoint = config.responsive_breakpoint ?? 768;
+        // A number is the width (px) from which the normal table is used; a string is a full media query
+        this.query = typeof breakpoint === 'number' ? `(max-width: ${breakpoint - 0.02}px)` : String(breakpoint);
+        this.translations = { ...DSTableResponsive.translations, ...(config.responsive_translations || {}) };
+
+        this.stacked = false;
+        this.media = null;
+        this.toolbar = null;
+
+        this._init();
+    }
+
+    _init() {
+        this.toolbar = this.table.wrapper.querySelector('.ds-table-card-toolbar');
+        if (!this.toolbar) {
+            this.toolbar = document.createElement('div');
+            this.toolbar.className = 'ds-table-card-toolbar';
+            this.table._insertAboveTable(this.toolbar);
+        }
+        this.toolbar.hidden = true;
+
+        this.toolbar.addEventListener('change', (e) => {
+            if (e.target.matches('[data-card-sort]')) this._sort(e.target.value, this._currentSort()?.direction || 'asc');
+            if (e.target.matches('[data-card-select-all]')) this.table.modules.selection?.toggleAll(e.target.checked);
+        });
+        this.toolbar.addEventListener('click', (e) => {
+            if (!e.target.closest('[data-card-direction]')) return;
+            const current = this._currentSort();
+            if (current) this._sort(current.column, current.direction === 'asc' ? 'desc' : 'asc');
+        });
+
+        this._renderToolbar();
+        this.applyLabels();
+
+        this.table.on('render', () => {
+            this.applyLabels();
+            // Selection syncs its checkboxes after `render`
+            queueMicrotask(() => this._syncSelectAll());
+        });
+        this.table.on('selectionChange', () => this._syncSelectAll());
+
+        if (typeof window.matchMedia === 'function') {
+            this.media = window.matchMedia(this.query);
+            this._onMediaChange = (e) => this._setStacked(e.matches);
+            if (this.media.addEventListener) this.media.addEventListener('change', this._onMediaChange);
+            else this.media.addListener(this._onMediaChange);
+            this._setStacked(this.media.matches);
+        }
+    }
+
+    /**
+     * Keep the sort toolbar in line with params changed elsewhere (header clicks, URL state)
+     */
+    onBeforeLoad() {
+        this._syncToolbar();
+    }
+
+    syncUI() {
+        this._syncToolbar();
+    }
+
+    _setStacked(stacked) {
+        if (stacked === this.stacked) return;
+        this.stacked = stacked;
+
+        this.table.table.classList.toggle('ds-table-stacked', stacked);
+        this.toolbar.hidden = !stacked;
+        if (stacked) {
+            this.applyLabels();
+            this._syncToolbar();
+            this._syncSelectAll();
+        }
+
+        this.table._emit('responsiveChange', { stacked });
+    }
+
+    // ================= LABELS =================
+
+    /**
+     * Stamp `data-label` on every cell from the header cell in the same position.
+     * Labels set in the row template are kept.
+     */
+    applyLabels() {
+        const labels = this.table.getHeaderCells().map(th => this._labelFor(th));
+
+        Array.from(this.table.table.querySelectorAll('tbody tr, tfoot tr')).forEach(tr => {
+            const cells = Array.from(tr.cells);
+            if (cells.length !== labels.length || cells.some(cell => cell.hasAttribute('colspan'))) return;
+
+            cells.forEach((cell, index) => {
+                if (cell.hasAttribute('data-label') && !cell.hasAttribute('data-ds-label')) return;
+                cell.dataset.label = labels[index];
+                cell.dataset.dsLabel = '';
+            });
+        });
+    }
+
+    _labelFor(th) {
+        const column = th.dataset.key ? this.table.modules.columns?.getColumn(th.dataset.key) : null;
+        // The checkbox header has no text: its `title` defaults to the key
+        if (column?.type === 'selection') return String(column.cardLabel ?? '');
+        if (column && (column.cardLabel !== undefined || column.title !== undefined)) return String(column.cardLabel ?? column.title);
+        return this.table.getHeaderLabel(th);
+    }
+
+    // ================= TOOLBAR =================
+
+    _sortableHeaders() {
+        if (!this.table.modules.sort) return [];
+        return Array.from(this.table.table.querySelectorAll('thead th[data-sort]'));
+    }
+
+    _currentSort() {
+        return this.table.modules.sort?.getSorts()[0] || null;
+    }
+
+    _renderToolbar() {
+        const escape = DSTableTemplate.escape;
+        const headers = this._sortableHeaders();
+        const hasSelectAll = !!(this.table.modules.selection && this.table.table.querySelector('thead input[type="checkbox"].select-all'));
+
+        const selectAll = hasSelectAll
+            ? `<label class="flex items-center gap-2 text-sm cursor-pointer">
+                   <input type="checkbox" class="checkbox checkbox-sm" data-card-select-all>
+                   <span>${escape(this.translations.select_all)}</span>
+               </label>`
+            : '';
+
+        const sort = headers.length
+            ? `<div class="join ml-auto">
+                   <select class="select select-sm join-item" data-card-sort aria-label="${escape(this.translations.sort)}">
+                       <option value="">${escape(this.translations.default_order)}</option>
+                       ${headers.map(th => `<option value="${escape(th.dataset.sort)}">${escape(this.table.getHeaderLabel(th))}</option>`).join('')}
+                   </select>
+                   <button type="button" class="btn btn-sm join-item" data-card-direction></button>
+               </div>`
+            : '';
+
+        this.toolbar.innerHTML = selectAll || sort
+            ? `<div class="mb-2 flex flex-wrap items-center gap-2">${selectAll}${sort}</div>`
+            : '';
+        this._syncToolbar();
+    }
+
+    _syncToolbar() {
+        const select = this.toolbar.querySelector('[data-card-sort]');
+        const button = this.toolbar.querySelector('[data-card-direction]');
+        if (!select || !button) return;
+
+        const current = this._currentSort();
+        select.value = current ? current.column : '';
+        button.disabled = !current;
+
+        const direction = current?.direction === 'desc' ? 'desc' : 'asc';
+        button.textContent = direction === 'asc' ? '↑' : '↓';
+        button.setAttribute('aria-label', this.translations[direction]);
+        button.title = this.translations[direction];
+    }
+
+    _sort(column, direction) {
+        const sort = this.table.modules.sort;
+        if (!sort) return;
+
+        this.table.setParam('page', 1);
+        sort.setSorts(column ? [{ column, direction }] : []);
+        this._syncToolbar();
+        this.table.loadData();
+    }
+
+    _syncSelectAll() {
+        const mirror = this.toolbar.querySelector('[data-card-select-all]');
+        const checkAll = this.table.table.querySelector('thead input[type="checkbox"].select-all');
+        if (!mirror || !checkAll) return;
+
+        mirror.checked = checkAll.checked;
+        mirror.indeterminate = checkAll.indeterminate;
+    }
+
+    // ================= PUBLIC API =================
+
+    /**
+     * Whether rows are currently shown as cards
+     * @returns {boolean}
+     */
+    isStacked() {
+        return this.stacked;
+    }
+
+    /**
+     * Remove the media query listener and restore the table layout
+     */
+    destroy() {
+        if (this.media && this._onMediaChange) {
+            if (this.media.removeEventListener) this.media.removeEventListener('change', this._onMediaChange);
+            else this.media.removeListener(this._onMediaChange);
+        }
+        this._setStacked(false);
+    }
+}
+
+// Card layout. Hidden rows / cells (collapsed groups, hidden columns) must stay hidden despite the display overrides.
+if (typeof document !== 'undefined') {
+    const style = document.createElement('style');
+    style.textContent = `
+.ds-table-stacked thead {
+    position: absolute;
+    width: 1px;
+    height: 1px;
+    overflow: hidden;
+    clip: rect(0 0 0 0);
+    white-space: nowrap;
+}
+
+.ds-table-stacked,
+.ds-table-stacked tbody,
+.ds-table-stacked tfoot {
+    display: block;
+    width: 100%;
+}
+
+.ds-table-stacked tbody tr,
+.ds-table-stacked tfoot tr {
+    display: block;
+    margin-bottom: 0.75rem;
+    border: 1px solid var(--color-base-300, #e5e7eb);
+    border-radius: var(--radius-box, 0.5rem);
+    background-color: var(--color-base-100, #fff);
+}
+
+.ds-table-stacked tbody td,
+.ds-table-stacked tfoot td {
+    display: grid;
+    grid-template-columns: minmax(6rem, 40%) 1fr;
+    gap: 0.5rem;
+    align-items: center;
+    text-align: start;
+    border: 0;
+}
+
+.ds-table-stacked td::before {
+    content: attr(data-label);
+    font-weight: 600;
+    opacity: 0.7;
+}
+
+.ds-table-stacked td[colspan],
+.ds-table-stacked td:not([data-label]),
+.ds-table-stacked td[data-label=""] {
+    display: block;
+}
+
+.ds-table-stacked td[colspan]::before,
+.ds-table-stacked td:not([data-label])::before,
+.ds-table-stacked td[data-label=""]::before {
+    content: none;
+}
+
+.ds-table-stacked .ds-table-frozen {
+    position: static;
+}
+
+.ds-table-stacked tr[hidden],
+.ds-table-stacked td[hidden] {
+    display: none;
+}
+`;
+    document.head.appendChild(style);
+}
+
+export default DSTableResponsive;
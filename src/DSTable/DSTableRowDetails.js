@@ -0,0 +1,327 @@
+import DSTableTemplate from './DSTableTemplate.js';
+
+/**
+ * DSTableRowDetails
+ *
+ * Expandable detail rows. A toggle button (`[data-ds-expand]` in a row template, or a `type: 'expand'` column)
+ * inserts a full-width `<tr data-ds-row="details">` below its row. Content comes from, in order:
+ *   - row_details_function: (row, index) => html | HTMLElement | Promise
+ *   - row_details_template: selector of a `<template>`, rendered with DSTableTemplate against the row
+ *   - row_details_url: '/api/users/{id}/details' (HTML, or JSON with an `html` field)
+ *
+ * Content is cached per row key. Open rows are remembered by key, so they stay open across re-renders and pages.
+ * Keyboard: Enter / Space toggle, ArrowRight / ArrowLeft expand / collapse, Escape inside a detail row closes it.
+ */
+export class DSTableRowDetails {
+    static translations = {
+        expand: 'Show details',
+        collapse: 'Hide details',
+        loading: 'Loading...',
+        error: 'Could not load details.'
+    };
+
+    constructor(tableInstance) {
+        this.table = tableInstance;
+        this.table.registerModule('rowDetails', this);
+
+        const config = this.table.config;
+        this.single = !!config.row_details_single; // Only one open row at a time
+        this.useCache = config.row_details_cache ?? true;
+        this.icons = { expand: 'chevron_right', collapse: 'expand_more', ...(config.row_details_icons || {}) };
+        this.translations = { ...DSTableRowDetails.translations, ...(config.row_details_translations || {}) };
+
+        // Row keys currently expanded
+        this.expanded = new Set();
+        // Row key => HTML string or element
+        this.cache = new Map();
+        // Row key => pending Promise
+        this.pending = new Map();
+
+        this._init();
+    }
+
+    _init() {
+        const tbody = this.table.tbody;
+        if (!tbody) return;
+
+        tbody.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-ds-expand]');
+            if (!btn || !tbody.contains(btn)) return;
+            e.preventDefault();
+            const tr = btn.closest('tr[data-ds-index]');
+            if (tr) this.toggle(this._getKey(tr));
+        });
+
+        tbody.addEventListener('keydown', (e) => {
+            const btn = e.target.closest('[data-ds-expand]');
+            if (btn) {
+                const key = this._getKey(btn.closest('tr[data-ds-index]'));
+                if (e.key === 'ArrowRight' && !this.isExpanded(key)) {
+                    e.preventDefault();
+                    this.expand(key);
+                } else if (e.key === 'ArrowLeft' && this.isExpanded(key)) {
+                    e.preventDefault();
+                    this.collapse(key);
+                }
+                return;
+            }
+
+            // Escape anywhere in a detail row closes it and returns focus to its toggle
+            const detail = e.target.closest('tr[data-ds-row="details"]');
+            if (detail && e.key === 'Escape') {
+                e.preventDefault();
+                const key = detail.dataset.dsDetailsFor;
+                this.collapse(key);
+                this._getRow(key)?.querySelector('[data-ds-expand]')?.focus();
+            }
+        });
+
+        // Re-open detail rows for freshly rendered rows; rows that are still open are kept as they are
+        this.table.on('render', () => this._restore());
+    }
+
+    // ================= RENDERING =================
+
+    /**
+     * Toggle button HTML for a row (used by `type: 'expand'` columns)
+     * @param {Object} row
+     * @returns {string}
+     */
+    renderToggle(row) {
+        const key = this._keyOf(row);
+        return `<button type="button" class="btn btn-ghost btn-xs btn-square" data-ds-expand>${this._toggleContent(this.isExpanded(key))}</button>`;
+    }
+
+    _toggleContent(expanded) {
+        return this.table._renderIcon(expanded ? this.icons.collapse : this.icons.expand, 'text-lg');
+    }
+
+    _syncToggle(tr, expanded) {
+        const btn = tr?.querySelector('[data-ds-expand]');
+        if (!btn) return;
+
+        btn.setAttribute('aria-expanded', expanded ? 'true' : 'false');
+        btn.setAttribute('aria-label', expanded ? this.translations.collapse : this.translations.expand);
+        btn.setAttribute('aria-controls', this._detailId(tr));
+        btn.innerHTML = this._toggleContent(expanded);
+        tr.classList.toggle('ds-row-expanded', expanded);
+    }
+
+    _restore() {
+        this.table.getRowElements().forEach(tr => {
+            const key = this._getKey(tr);
+            const expanded = this.isExpanded(key);
+            this._syncToggle(tr, expanded);
+
+            const next = tr.nextElementSibling;
+            const hasDetail = next?.dataset.dsRow === 'details' && next.dataset.dsDetailsFor === key;
+            if (expanded && !hasDetail) this._open(tr, key);
+        });
+    }
+
+    /**
+     * Insert the detail row below `tr` and fill it
+     */
+    _open(tr, key) {
+        const detail = document.createElement('tr');
+        detail.className = 'ds-row-details bg-base-200/40';
+        detail.id = this._detailId(tr);
+        detail.dataset.dsRow = 'details';
+        detail.dataset.dsDetailsFor = key;
+
+        const td = document.createElement('td');
+        td.setAttribute('colspan', '100%');
+        detail.appendChild(td);
+        tr.after(detail);
+
+        this._syncToggle(tr, true);
+        this._fill(td, tr, key);
+    }
+
+    async _fill(td, tr, key) {
+        const row = this.table.data[parseInt(tr.dataset.dsIndex)];
+
+        if (this.useCache && this.cache.has(key)) {
+            this._setContent(td, this.cache.get(key));
+            return;
+        }
+
+        td.innerHTML = `<div class="flex items-center gap-2 py-2 text-sm text-base-content/70"><span class="loading loading-spinner loading-sm"></span>${this.translations.loading}</div>`;
+
+        try {
+            if (!this.pending.has(key)) {
+                this.pending.set(key, Promise.resolve(this._load(row, parseInt(tr.dataset.dsIndex))));
+            }
+            const content = await this.pending.get(key);
+            this.pending.delete(key);
+
+            if (this.useCache) this.cache.set(key, content);
+            // Collapsed (or re-rendered) while loading
+            if (!td.isConnected) return;
+
+            this._setContent(td, content);
+            this.table._emit('rowDetailsLoaded', { key, row });
+        } catch (error) {
+            this.pending.delete(key);
+            console.error('DSTableRowDetails: Failed to load details', error);
+            if (td.isConnected) td.innerHTML = `<div class="py-2 text-sm text-error">${this.translations.error}</div>`;
+        }
+    }
+
+    _setContent(td, content) {
+        if (content instanceof Node) {
+            td.innerHTML = '';
+            // Cached elements are cloned so every detail row gets its own copy
+            td.appendChild(content.cloneNode(true));
+        } else {
+            td.innerHTML = content ?? '';
+        }
+    }
+
+    /**
+     * Content for a row from the configured source
+     */
+    async _load(row, index) {
+        const config = this.table.config;
+
+        if (typeof config.row_details_function === 'function') {
+            return await config.row_details_function(row, index);
+        }
+
+        if (config.row_details_template) {
+            const template = typeof config.row_details_template === 'string'
+                ? document.querySelector(config.row_details_template)
+                : config.row_details_template;
+            if (!template) throw new Error(`DSTableRowDetails: Template "${config.row_details_template}" not found`);
+
+            return DSTableTemplate.render(template.innerHTML, row, {
+                filters: config.template_filters,
+                locale: config.columns_locale
+            });
+        }
+
+        if (config.row_details_url) {
+            return await this._fetch(this._buildUrl(config.row_details_url, row));
+        }
+
+        throw new Error('DSTableRowDetails: Configure row_details_function, row_details_template or row_details_url');
+    }
+
+    /**
+     * Replace `{field}` placeholders (dot paths allowed); `{id}` is the row key
+     */
+    _buildUrl(url, row) {
+        return url.replace(/\{\s*([\w.]+)\s*\}/g, (match, path) => {
+            const value = path === 'id' ? this._keyOf(row) : this.table._getNestedValue(row, path);
+            return encodeURIComponent(value ?? '');
+        });
+    }
+
+    async _fetch(url) {
+        const headers = { 'Accept': 'text/html, application/json', 'X-Requested-With': 'XMLHttpRequest' };
+        let data;
+
+        if (this.table.config.ajax_function === 'axios' && window.axios) {
+            data = (await window.axios({ url, method: 'GET', headers })).data;
+        } else {
+            const res = await fetch(url, { headers, credentials: 'same-origin' });
+            if (!res.ok) throw new Error(`DSTableRowDetails: Request failed (${res.status})`);
+            const type = res.headers.get('Content-Type') || '';
+            data = type.includes('json') ? await res.json() : await res.text();
+        }
+
+        if (typeof data === 'string') return data;
+        return data?.html ?? data?.data?.html ?? (typeof data?.data === 'string' ? data.data : '');
+    }
+
+    // ================= HELPERS =================
+
+    _keyOf(row) {
+        const value = this.table._getNestedValue(row, this.table.config.row_key || 'id');
+        return value === null || value === undefined ? '' : String(value);
+    }
+
+    _getKey(tr) {
+        if (!tr) return '';
+        const row = this.table.data[parseInt(tr.dataset.dsIndex)];
+        // Rows without a key fall back to their position
+        return row ? (this._keyOf(row) || `index_${tr.dataset.dsIndex}`) : '';
+    }
+
+    _getRow(key) {
+        return this.table.getRowElements().find(tr => this._getKey(tr) === key) || null;
+    }
+
+    _detailId(tr) {
+        return `${this.table.wrapper.id || 'dstable'}-details-${tr.dataset.dsIndex}`;
+    }
+
+    // ================= PUBLIC API =================
+
+    /**
+     * Expand a row by key
+     * @param {string|number} key - Value of `row_key`
+     */
+    expand(key) {
+        key = String(key);
+        if (this.single) {
+            Array.from(this.expanded).filter(open => open !== key).forEach(open => this.collapse(open));
+        }
+
+        const alreadyExpanded = this.expanded.has(key);
+        this.expanded.add(key);
+
+        const tr = this._getRow(key);
+        if (tr && tr.nextElementSibling?.dataset.dsDetailsFor !== key) this._open(tr, key);
+        if (!alreadyExpanded) {
+            this.table._emit('rowExpand', { key, row: tr ? this.table.data[parseInt(tr.dataset.dsIndex)] : null });
+        }
+    }
+
+    /**
+     * Collapse a row by key
+     * @param {string|number} key
+     */
+    collapse(key) {
+        key = String(key);
+        if (!this.expanded.delete(key)) return;
+
+        const tr = this._getRow(key);
+        const detail = tr?.nextElementSibling;
+        if (detail?.dataset.dsRow === 'details' && detail.dataset.dsDetailsFor === key) detail.remove();
+        this._syncToggle(tr, false);
+
+        this.table._emit('rowCollapse', { key, row: tr ? this.table.data[parseInt(tr.dataset.dsIndex)] : null });
+    }
+
+    toggle(key) {
+        if (this.isExpanded(key)) this.collapse(key);
+        else this.expand(key);
+    }
+
+    collapseAll() {
+        Array.from(this.expanded).forEach(key => this.collapse(key));
+    }
+
+    isExpanded(key) {
+        return this.expanded.has(String(key));
+    }
+
+    /**
+     * Expanded row keys
+     * @returns {string[]}
+     */
+    getExpanded() {
+        return Array.from(this.expanded);
+    }
+
+    /**
+     * Forget cached content (one row, or all rows). Open rows reload the next time they are opened.
+     * @param {string|number} [key]
+     */
+    clearCache(key) {
+        if (key === undefined) this.cache.clear();
+        else this.cache.delete(String(key));
+    }
+}
+export default DSTableRowDetails;
@@ -0,0 +1,264 @@
+/**
+ * DSTableScroll
+ *
+ * Scrolling helpers for long tables:
+ *   - sticky_header: keeps `thead` (and `tfoot`) pinned while the rows scroll (DaisyUI `table-pin-rows`)
+ *   - frozen_columns: keeps the first N visible columns in place while scrolling sideways
+ *   - virtual_scroll: only the rows in (and around) the viewport are in the DOM; spacer rows keep the
+ *     scrollbar the size of the whole page. Meant for large local datasets loaded as one page (`per_page: 0`).
+ *
+ * The table is scrolled inside its parent element (an `overflow-x-auto` div), or inside a
+ * `.ds-table-scroll` div created around it. `scroll_height` limits its height.
+ */
+export class DSTableScroll {
+    constructor(tableInstance) {
+        this.table = tableInstance;
+        this.table.registerModule('scroll', this);
+
+        const config = this.table.config;
+        this.sticky = !!config.sticky_header;
+        this.frozen = Math.max(0, parseInt(config.frozen_columns) || 0);
+        this.virtual = !!config.virtual_scroll;
+        this.rowHeight = parseInt(config.virtual_row_height) || null;
+        this.buffer = Math.max(1, parseInt(config.virtual_buffer) || 10);
+
+        this.container = null;
+        // Rows of this.data currently in the DOM: [start, end)
+        this.range = { start: 0, end: 0 };
+        this._frame = null;
+        this._resetScroll = false;
+
+        this._init();
+    }
+
+    _init() {
+        if (this.virtual && (this.table.modules.loadMore || this.table.modules.grouping?.levels.length)) {
+            console.warn('DSTableScroll: virtual_scroll is not supported together with load_more or group_by');
+            this.virtual = false;
+        }
+
+        this.container = this._getContainer();
+
+        const height = this.table.config.scroll_height ?? (this.virtual ? '600px' : null);
+        if (height) {
+            this.container.style.maxHeight = typeof height === 'number' ? `${height}px` : height;
+            this.container.style.overflowY = 'auto';
+        }
+
+        if (this.sticky) this.table.table.classList.add('table-pin-rows');
+
+        if (this.virtual) {
+            this.container.addEventListener('scroll', () => {
+                if (this._frame) return;
+                this._frame = requestAnimationFrame(() => {
+                    this._frame = null;
+                    this._update();
+                });
+            }, { passive: true });
+        }
+
+        if (this.frozen) {
+            // Runs after column layout / visibility, so positions match what is on screen
+            this.table.on('render', () => this.applyFrozen());
+            this.table.on('layoutChange', () => this.applyFrozen());
+            this.table.on('columnVisibilityChange', () => this.applyFrozen());
+
+            if (typeof ResizeObserver !== 'undefined') {
+                const header = this.table.table.querySelector('thead tr');
+                if (header) new ResizeObserver(() => this.applyFrozen()).observe(header);
+            }
+            this.applyFrozen();
+        }
+    }
+
+    /**
+     * A new query starts at the top; background refreshes keep the scroll position
+     */
+    onBeforeLoad(params, context = {}) {
+        if (!context.patch && !context.append) this._resetScroll = true;
+    }
+
+    _getContainer() {
+        const table = this.table.table;
+        const parent = table.parentElement;
+        if (parent && parent !== this.table.wrapper && getComputedStyle(parent).overflowX !== 'visible') return parent;
+
+        const container = document.createElement('div');
+        container.className = 'ds-table-scroll overflow-x-auto';
+        parent.insertBefore(container, table);
+        container.appendChild(table);
+        return container;
+    }
+
+    // ================= FROZEN COLUMNS =================
+
+    /**
+     * Pin the first `frozen_columns` visible columns to the left edge
+     */
+    applyFrozen() {
+        if (!this.frozen) return;
+
+        const headers = this.table.getHeaderCells();
+        const offsets = new Map();
+        let left = 0;
+        let last = -1;
+
+        headers.forEach((th, index) => {
+            if (th.hidden || offsets.size >= this.frozen) return;
+            offsets.set(index, left);
+            left += th.getBoundingClientRect().width;
+            last = index;
+        });
+
+        Array.from(this.table.table.rows).forEach(row => {
+            const cells = Array.from(row.cells);
+            // Spanning rows (group headers, details, messages) and skeleton rows are left alone
+            if (cells.length !== headers.length || cells.some(cell => cell.hasAttribute('colspan'))) return;
+
+            cells.forEach((cell, index) => {
+                const frozen = offsets.has(index);
+                cell.classList.toggle('ds-table-frozen', frozen);
+                cell.classList.toggle('ds-table-frozen-last', index === last);
+                cell.style.left = frozen ? `${offsets.get(index)}px` : '';
+            });
+        });
+    }
+
+    // ================= VIRTUAL SCROLL =================
+
+    /**
+     * Whether rows are rendered virtually (only the visible window is in the DOM)
+     * @returns {boolean}
+     */
+    isVirtual() {
+        return this.virtual;
+    }
+
+    /**
+     * Rows of `this.data` in the DOM
+     * @returns {{start: number, end: number}}
+     */
+    getRange() {
+        return { ...this.range };
+    }
+
+    /**
+     * Window of rows for the current scroll position. `start` moves in steps of `virtual_buffer`
+     * rows, so scrolling only re-renders once every few rows.
+     */
+    _getWindow() {
+        const total = this.table.data.length;
+        const height = this.rowHeight || 48;
+        const viewport = this.container.clientHeight || 600;
+        const tbody = this.table.tbody;
+
+        // Distance scrolled past the top of tbody (the header is above it)
+        const bodyTop = tbody.getBoundingClientRect().top - this.container.getBoundingClientRect().top + this.container.scrollTop;
+        const offset = Math.max(0, this.container.scrollTop - bodyTop);
+        const first = Math.min(Math.floor(offset / height), Math.max(0, total - 1));
+
+        const start = Math.max(0, Math.floor((first - this.buffer) / this.buffer) * this.buffer);
+        const end = Math.min(total, start + Math.ceil(viewport / height) + this.buffer * 3);
+        return { start, end };
+    }
+
+    _update() {
+        if (!this.virtual || !this.table.data.length) return;
+        const { start, end } = this._getWindow();
+        if (start !== this.range.start || end !== this.range.end) this.table.render();
+    }
+
+    /**
+     * Build the visible window of rows (called by DSTable.render in virtual mode)
+     */
+    render() {
+        if (this._resetScroll) {
+            this._resetScroll = false;
+            this.container.scrollTop = 0;
+        }
+
+        this._renderWindow();
+
+        // First render without a configured height: measure a real row and lay out again with it
+        if (!this.rowHeight) {
+            const sample = this.table.getRowElements()[0];
+            const measured = sample ? Math.round(sample.getBoundingClientRect().height) : 0;
+            if (measured > 0) {
+                this.rowHeight = measured;
+                if (measured !== 48) this._renderWindow();
+            }
+        }
+
+        this.table._emit('render', { append: false, range: this.getRange() });
+        if (this.table.modules.selection) this.table.modules.selection.update();
+    }
+
+    _renderWindow() {
+        const tbody = this.table.tbody;
+        const data = this.table.data;
+        const height = this.rowHeight || 48;
+        const { start, end } = this._getWindow();
+        const fragment = document.createDocumentFragment();
+
+        this.range = { start, end };
+
+        if (start > 0) fragment.appendChild(this._spacer(start * height));
+        for (let i = start; i < end; i++) {
+            const tr = this.table._buildRow(data[i], i);
+            if (tr) fragment.appendChild(tr);
+        }
+        if (end < data.length) fragment.appendChild(this._spacer((data.length - end) * height));
+
+        tbody.innerHTML = '';
+        tbody.appendChild(fragment);
+    }
+
+    _spacer(height) {
+        const tr = document.createElement('tr');
+        tr.dataset.dsRow = 'spacer';
+        tr.setAttribute('aria-hidden', 'true');
+        tr.innerHTML = `<td colspan="100%" style="height: ${height}px; padding: 0; border: 0;"></td>`;
+        return tr;
+    }
+
+    /**
+     * Scroll a row of `this.data` into view
+     * @param {number} index
+     */
+    scrollToIndex(index) {
+        const tr = this.table.getRowElements().find(row => row.dataset.dsIndex === String(index));
+        if (tr && !this.virtual) {
+            tr.scrollIntoView({ block: 'nearest' });
+            return;
+        }
+
+        const tbody = this.table.tbody;
+        const bodyTop = tbody.getBoundingClientRect().top - this.container.getBoundingClientRect().top + this.container.scrollTop;
+        this.container.scrollTop = bodyTop + index * (this.rowHeight || 48);
+        this._update();
+    }
+}
+
+// Frozen columns need an opaque background to cover the cells scrolling under them
+if (typeof document !== 'undefined') {
+    const style = document.createElement('style');
+    style.textContent = `
+.ds-table-frozen {
+    position: sticky;
+    z-index: 1;
+    background-color: var(--color-base-100, #fff);
+}
+
+thead .ds-table-frozen,
+tfoot .ds-table-frozen {
+    z-index: 2;
+}
+
+.ds-table-frozen-last {
+    box-shadow: inset -1px 0 0 var(--color-base-300, #e5e7eb);
+}
+`;
+    document.head.appendChild(style);
+}
+
+export default DSTableScroll;
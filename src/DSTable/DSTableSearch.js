@@ -36,5 +36,13 @@ export class DSTableSearch {
             }
         });
     }
+
+    /**
+     * Restore the input value from the table params
+     */
+    syncUI() {
+        if (!this.input) return;
+        this.input.value = this.table.getParam('search') ?? '';
+    }
 }
 export default DSTableSearch;
@@ -1,4 +1,19 @@
+import DSTableQuery from './DSTableQuery.js';
+
 export class DSTableSelection {
+    static translations = {
+        page_selected: 'All {count} rows on this page are selected.',
+        select_all: 'Select all {total} matching rows',
+        select_all_unknown: 'Select all matching rows',
+        all_selected: 'All {total} matching rows are selected.',
+        all_selected_unknown: 'All matching rows are selected.',
+        excluded: '{count} excluded.',
+        clear: 'Clear selection'
+    };
+
+    // Params that don't change which rows match the query
+    static viewParams = ['page', 'per_page', 'cursor', 'sort_by', 'sort_order', 'sorts'];
+
     constructor(tableInstance) {
         this.table = tableInstance;
         this.table.registerModule('selection', this);
@@ -7,9 +22,21 @@ export class DSTableSelection {
         this.persist = this.table.config.selection_persist ?? false;
         this.storageType = this.table.config.selection_storage ?? 'localStorage'; // 'localStorage' or 'sessionStorage'
         this.storageKey = this.table.config.selection_storage_key ?? `dstable_selection_${this._getTableIdentifier()}`;
+        this.allowAllMatching = this.table.config.selection_all_matching ?? true;
+        this.translations = { ...DSTableSelection.translations, ...(this.table.config.selection_translations || {}) };
 
         this.selectedIds = new Set();
 
+        // "All rows matching the query, except these" mode
+        this.allMatching = false;
+        this.excludedIds = new Set();
+        this.matchingQuery = null;
+        this.matchingTotal = null;
+
+        // Anchor for shift-click ranges (position among the page's row IDs)
+        this.lastClickedIndex = null;
+        this.banner = null;
+
         // Load persisted selection if enabled
         if (this.persist) {
             this._loadFromStorage();
@@ -39,70 +66,225 @@ export class DSTableSelection {
                 this.toggleAll(e.target.checked);
             });
         }
+
+        // The banner is created the first time it has something to show (see _ensureBanner)
+        if (this.allowAllMatching) this.banner = this.table.wrapper.querySelector('.ds-table-selection-banner');
+        if (this.banner) this._bindBanner();
     }
 
-    update() {
-        // Determine indentifier key, default 'id'
-        const key = 'id';
+    _ensureBanner() {
+        if (this.banner) return this.banner;
+
+        this.banner = document.createElement('div');
+        this.banner.className = 'ds-table-selection-banner';
+        this.table._insertAboveTable(this.banner);
+        this._bindBanner();
+        return this.banner;
+    }
+
+    _bindBanner() {
+        this.banner.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-select-all-matching], [data-selection-clear]');
+            if (!btn) return;
+            e.preventDefault();
+            if (btn.hasAttribute('data-select-all-matching')) this.selectAllMatching();
+            else this.clearAll();
+        });
+    }
 
+    /**
+     * A different search / filter means a different set of rows: drop an "all matching" selection
+     */
+    onBeforeLoad(params, context = {}) {
+        if (this.allMatching && this._queryKey(params) !== this._queryKey(this.matchingQuery)) {
+            this.clearAll();
+        }
+        // Appended pages and background refreshes keep the rows (and the shift-click anchor) in place
+        if (!context.append && !context.patch) this.lastClickedIndex = null;
+    }
+
+    update() {
         // Find checkboxes in tbody
-        const checkboxes = this.table.tbody.querySelectorAll('input[type="checkbox"].select-row');
+        const checkboxes = this._getCheckboxes();
+        const pageIds = this._getPageIds();
 
-        checkboxes.forEach(chk => {
+        checkboxes.forEach((chk) => {
             const rowId = chk.value; // Assuming value holds the ID
+            const position = pageIds.indexOf(String(rowId));
 
             // Restore state from selectedIds (which may have been loaded from storage)
-            chk.checked = this.selectedIds.has(rowId);
-
-            // Bind click
-            chk.onchange = (e) => {
-                this._toggleId(rowId, e.target.checked);
+            chk.checked = this.isSelected(rowId);
+
+            // Bind click (click, unlike change, reports the shift key)
+            chk.onchange = null;
+            chk.onclick = (e) => {
+                if (e.shiftKey && this.lastClickedIndex !== null) {
+                    this._selectRange(this.lastClickedIndex, position, e.target.checked);
+                } else {
+                    this._toggleId(rowId, e.target.checked);
+                }
+                this.lastClickedIndex = position;
             };
         });
 
         this._updateCheckAllState();
+        this._renderBanner();
     }
 
-    _toggleId(id, checked) {
-        if (checked) this.selectedIds.add(id);
-        else this.selectedIds.delete(id);
+    _getCheckboxes() {
+        return Array.from(this.table.tbody.querySelectorAll('input[type="checkbox"].select-row'));
+    }
 
-        this._updateCheckAllState();
-        this._saveToStorage();
-        this.table._emit('selectionChange', { selected: Array.from(this.selectedIds) });
+    /**
+     * IDs of the rows on the page, in order. With virtual scrolling most rows have no checkbox in the DOM,
+     * so the IDs come from the data (`row_key`).
+     * @returns {string[]}
+     */
+    _getPageIds() {
+        if (this.table.modules.scroll?.isVirtual()) {
+            const key = this.table.config.row_key || 'id';
+            return this.table.data.map(row => String(this.table._getNestedValue(row, key)));
+        }
+        return this._getCheckboxes().map(chk => String(chk.value));
+    }
+
+    _syncCheckboxes() {
+        this._getCheckboxes().forEach(chk => { chk.checked = this.isSelected(chk.value); });
+    }
+
+    /**
+     * Shift-click: give every row between the anchor and the clicked one the clicked state
+     */
+    _selectRange(from, to, checked) {
+        const [start, end] = from < to ? [from, to] : [to, from];
+
+        this._getPageIds().slice(start, end + 1).forEach(id => this._setId(id, checked));
+        this._syncCheckboxes();
+
+        this._changed();
+    }
+
+    _setId(id, checked) {
+        id = String(id);
+        if (this.allMatching) {
+            if (checked) this.excludedIds.delete(id);
+            else this.excludedIds.add(id);
+        } else if (checked) {
+            this.selectedIds.add(id);
+        } else {
+            this.selectedIds.delete(id);
+        }
+    }
+
+    _toggleId(id, checked) {
+        this._setId(id, checked);
+        this._changed();
     }
 
     toggleAll(checked) {
-        const checkboxes = this.table.tbody.querySelectorAll('input[type="checkbox"].select-row');
-        checkboxes.forEach(chk => {
-            chk.checked = checked;
-            const rowId = chk.value;
-            if (checked) this.selectedIds.add(rowId);
-            else this.selectedIds.delete(rowId);
-        });
+        // Unchecking the header ends an "all matching" selection
+        if (!checked && this.allMatching) {
+            this.clearAll();
+            return;
+        }
+
+        this._getPageIds().forEach(id => this._setId(id, checked));
+        this._syncCheckboxes();
 
+        this._changed();
+    }
+
+    _changed() {
+        this._updateCheckAllState();
+        this._renderBanner();
         this._saveToStorage();
-        this.table._emit('selectionChange', { selected: Array.from(this.selectedIds) });
+        this.table._emit('selectionChange', this._eventDetail());
+    }
+
+    _eventDetail() {
+        return {
+            selected: Array.from(this.selectedIds),
+            allMatching: this.allMatching,
+            excluded: Array.from(this.excludedIds),
+            count: this.getCount()
+        };
     }
 
     _updateCheckAllState() {
         const checkAll = this.table.table.querySelector('thead input[type="checkbox"].select-all');
         if (!checkAll) return;
 
-        const checkboxes = Array.from(this.table.tbody.querySelectorAll('input[type="checkbox"].select-row'));
-        if (checkboxes.length === 0) {
+        const pageIds = this._getPageIds();
+        if (pageIds.length === 0) {
             checkAll.checked = false;
             checkAll.indeterminate = false;
             return;
         }
 
-        const allChecked = checkboxes.every(c => c.checked);
-        const someChecked = checkboxes.some(c => c.checked);
+        const allChecked = pageIds.every(id => this.isSelected(id));
+        const someChecked = pageIds.some(id => this.isSelected(id));
 
         checkAll.checked = allChecked;
         checkAll.indeterminate = someChecked && !allChecked;
     }
 
+    // ==================== ALL MATCHING ====================
+
+    /**
+     * Params that define which rows match (search, filters), without paging / sorting
+     */
+    _getQuery(params = this.table.params) {
+        const query = {};
+        Object.entries(params || {}).forEach(([key, value]) => {
+            if (DSTableSelection.viewParams.includes(key)) return;
+            if (value === null || value === undefined || value === '') return;
+            query[key] = value;
+        });
+        return query;
+    }
+
+    _queryKey(params) {
+        return DSTableQuery.stringify(this._getQuery(params));
+    }
+
+    _hasMoreRows(visibleCount) {
+        const meta = this.table.meta || {};
+        if (meta.total !== undefined && meta.total !== null) return parseInt(meta.total) > visibleCount;
+        return !!(meta.next_page_url || meta.next_cursor);
+    }
+
+    _renderBanner() {
+        if (!this.allowAllMatching) return;
+
+        const pageIds = this._getPageIds();
+        const pageSelected = pageIds.length > 0 && pageIds.every(id => this.isSelected(id));
+        const format = (n) => Number(n).toLocaleString();
+        let html = '';
+
+        if (this.allMatching) {
+            const text = this.matchingTotal !== null
+                ? this.translations.all_selected.replace('{total}', format(this.matchingTotal))
+                : this.translations.all_selected_unknown;
+            const excluded = this.excludedIds.size
+                ? ` ${this.translations.excluded.replace('{count}', format(this.excludedIds.size))}`
+                : '';
+            html = `<span>${text}${excluded}</span>
+                    <button type="button" class="link link-primary" data-selection-clear>${this.translations.clear}</button>`;
+        } else if (pageSelected && this._hasMoreRows(pageIds.length)) {
+            const total = this.table.meta?.total;
+            const action = total !== undefined && total !== null
+                ? this.translations.select_all.replace('{total}', format(total))
+                : this.translations.select_all_unknown;
+            html = `<span>${this.translations.page_selected.replace('{count}', format(pageIds.length))}</span>
+                    <button type="button" class="link link-primary" data-select-all-matching>${action}</button>`;
+        }
+
+        if (!html && !this.banner) return;
+        this._ensureBanner().innerHTML = html
+            ? `<div class="mb-2 flex flex-wrap items-center justify-center gap-2 rounded-box bg-base-200 px-4 py-2 text-sm">${html}</div>`
+            : '';
+    }
+
     // ==================== STORAGE ====================
 
     /**
@@ -113,7 +295,10 @@ export class DSTableSelection {
 
         try {
             const storage = this.storageType === 'sessionStorage' ? sessionStorage : localStorage;
-            storage.setItem(this.storageKey, JSON.stringify(Array.from(this.selectedIds)));
+            const value = this.allMatching
+                ? { all: true, except: Array.from(this.excludedIds), query: this.matchingQuery, total: this.matchingTotal }
+                : Array.from(this.selectedIds);
+            storage.setItem(this.storageKey, JSON.stringify(value));
         } catch (e) {
             console.warn('DSTableSelection: Failed to save to storage', e);
         }
@@ -128,9 +313,14 @@ export class DSTableSelection {
             const saved = storage.getItem(this.storageKey);
 
             if (saved) {
-                const ids = JSON.parse(saved);
-                if (Array.isArray(ids)) {
-                    this.selectedIds = new Set(ids.map(String));
+                const value = JSON.parse(saved);
+                if (Array.isArray(value)) {
+                    this.selectedIds = new Set(value.map(String));
+                } else if (value && value.all) {
+                    this.allMatching = true;
+                    this.excludedIds = new Set((value.except || []).map(String));
+                    this.matchingQuery = value.query || {};
+                    this.matchingTotal = value.total ?? null;
                 }
             }
         } catch (e) {
@@ -155,9 +345,12 @@ export class DSTableSelection {
     // ==================== PUBLIC API ====================
 
     /**
-     * Get all selected IDs
+     * Get all selected IDs. In "all matching" mode only the IDs on screen are known; use getPayload().
      */
     getSelected() {
+        if (this.allMatching) {
+            return this._getCheckboxes().filter(chk => chk.checked).map(chk => chk.value);
+        }
         return Array.from(this.selectedIds);
     }
 
@@ -165,28 +358,84 @@ export class DSTableSelection {
      * Set selected IDs programmatically
      */
     setSelected(ids) {
+        this._resetAllMatching();
         this.selectedIds = new Set(ids.map(String));
         this._saveToStorage();
         this.update();
-        this.table._emit('selectionChange', { selected: Array.from(this.selectedIds) });
+        this.table._emit('selectionChange', this._eventDetail());
     }
 
     /**
      * Clear all selections
      */
     clearAll() {
+        this._resetAllMatching();
         this.selectedIds.clear();
         this._clearStorage();
         this.update();
-        this.table._emit('selectionChange', { selected: [] });
+        this.table._emit('selectionChange', this._eventDetail());
     }
 
     /**
      * Check if an ID is selected
      */
     isSelected(id) {
+        if (this.allMatching) return !this.excludedIds.has(String(id));
         return this.selectedIds.has(String(id));
     }
+
+    /**
+     * Select every row matching the current search / filters, on every page
+     */
+    selectAllMatching() {
+        const total = this.table.meta?.total;
+
+        this.allMatching = true;
+        this.excludedIds = new Set();
+        this.selectedIds.clear();
+        this.matchingQuery = this._getQuery();
+        this.matchingTotal = total !== undefined && total !== null ? parseInt(total) : null;
+
+        this._getCheckboxes().forEach(chk => { chk.checked = true; });
+        this._changed();
+    }
+
+    _resetAllMatching() {
+        this.allMatching = false;
+        this.excludedIds = new Set();
+        this.matchingQuery = null;
+        this.matchingTotal = null;
+    }
+
+    /**
+     * Whether every row matching the query is selected
+     * @returns {boolean}
+     */
+    isAllMatching() {
+        return this.allMatching;
+    }
+
+    /**
+     * Number of selected rows (null when all matching rows are selected and the total is unknown)
+     * @returns {number|null}
+     */
+    getCount() {
+        if (this.allMatching) {
+            return this.matchingTotal !== null ? Math.max(0, this.matchingTotal - this.excludedIds.size) : null;
+        }
+        return this.selectedIds.size;
+    }
+
+    /**
+     * Selection for the server:
+     * `{ ids: [...] }`, or `{ all: true, except: [...], query: { search, filters... } }` in "all matching" mode
+     * @returns {Object}
+     */
+    getPayload() {
+        if (this.allMatching) {
+            return { all: true, except: Array.from(this.excludedIds), query: { ...this.matchingQuery } };
+        }
+        return { ids: Array.from(this.selectedIds) };
+    }
 }
 export default DSTableSelection;
-
@@ -3,6 +3,10 @@ export class DSTableSort {
         this.table = tableInstance;
         this.table.registerModule('sort', this);
 
+        // Shift-click adds secondary sort keys
+        this.multiSort = this.table.config.multi_sort ?? true;
+        this.maxSorts = this.table.config.multi_sort_max ?? null;
+
         // We need to attach listeners to table headers row
         this.headers = this.table.wrapper.querySelectorAll('thead th[data-sort]');
 
@@ -13,46 +17,127 @@ export class DSTableSort {
 
     _init() {
         this.headers.forEach(th => {
-            th.classList.add('cursor-pointer', 'hover:bg-base-200'); // Add UI hint
-            th.addEventListener('click', () => {
+            th.classList.add('cursor-pointer', 'hover:bg-base-200', 'select-none'); // Add UI hint
+            th.addEventListener('click', (e) => {
                 const sortKey = th.dataset.sort;
-                let currentDir = this.table.getParam('sort_order') || 'asc';
-                let currentSort = this.table.getParam('sort_by');
-
-                // Toggle if clicking same header, else default asc
-                if (currentSort === sortKey) {
-                    currentDir = currentDir === 'asc' ? 'desc' : 'asc';
-                } else {
-                    currentDir = 'asc';
-                }
+                const sorts = (this.multiSort && e.shiftKey)
+                    ? this._addSort(sortKey)
+                    : this._replaceSort(sortKey);
 
                 // Reset page to 1 when sorting changes
                 this.table.setParam('page', 1);
-                this.table.setParam('sort_by', sortKey);
-                this.table.setParam('sort_order', currentDir);
-
-                this._updateIcons(th, currentDir);
+                this.setSorts(sorts);
                 this.table.loadData();
             });
         });
+
+        this._updateIcons();
+    }
+
+    /**
+     * Plain click: sort by this column only, toggling its direction if it is already the primary sort
+     */
+    _replaceSort(column) {
+        const current = this.getSorts();
+        const existing = current.find(s => s.column === column);
+
+        if (existing && current.length === 1) {
+            return [{ column, direction: existing.direction === 'asc' ? 'desc' : 'asc' }];
+        }
+        return [{ column, direction: 'asc' }];
     }
 
-    _updateIcons(activeTh, dir) {
+    /**
+     * Shift-click: append the column as the next sort key, or cycle it asc -> desc -> removed
+     */
+    _addSort(column) {
+        const sorts = this.getSorts().map(s => ({ ...s }));
+        const existing = sorts.find(s => s.column === column);
+
+        if (!existing) {
+            sorts.push({ column, direction: 'asc' });
+            if (this.maxSorts && sorts.length > this.maxSorts) sorts.shift();
+            return sorts;
+        }
+
+        if (existing.direction === 'asc') {
+            existing.direction = 'desc';
+            return sorts;
+        }
+
+        return sorts.filter(s => s.column !== column);
+    }
+
+    /**
+     * Current sort keys in priority order.
+     * Falls back to the single `sort_by` / `sort_order` pair when `sorts` is empty.
+     * @returns {{column: string, direction: string}[]}
+     */
+    getSorts() {
+        const sorts = this.table.getParam('sorts');
+        if (Array.isArray(sorts) && sorts.length > 0) {
+            return sorts.filter(s => s && s.column);
+        }
+
+        const sortBy = this.table.getParam('sort_by');
+        return sortBy ? [{ column: sortBy, direction: this.table.getParam('sort_order') || 'asc' }] : [];
+    }
+
+    /**
+     * Set the sort keys (does not reload).
+     * `sort_by` / `sort_order` always mirror the primary key for servers that only read one column.
+     * @param {{column: string, direction: string}[]} sorts
+     */
+    setSorts(sorts) {
+        const normalized = (sorts || [])
+            .filter(s => s && s.column)
+            .map(s => ({ column: s.column, direction: s.direction === 'desc' ? 'desc' : 'asc' }));
+
+        this.table.setParam('sorts', normalized);
+        this.table.setParam('sort_by', normalized[0]?.column ?? null);
+        this.table.setParam('sort_order', normalized[0]?.direction ?? 'asc');
+
+        this._updateIcons();
+    }
+
+    /**
+     * Restore header icons from the table params (e.g. after URL state restore)
+     */
+    syncUI() {
+        this._updateIcons();
+    }
+
+    _updateIcons() {
+        const sorts = this.getSorts();
+        const showPriority = sorts.length > 1;
+
         this.headers.forEach(th => {
             // Remove existing icons
-            const icon = th.querySelector('.sort-icon');
-            if (icon) icon.remove();
+            th.querySelectorAll('.sort-icon, .sort-priority').forEach(el => el.remove());
             th.classList.remove('text-primary'); // Remove active color
-        });
 
-        // Add icon to active
-        // Simple text arrow for now, can be SVG
-        const arrow = dir === 'asc' ? '↑' : '↓';
-        const span = document.createElement('span');
-        span.className = 'sort-icon ml-1';
-        span.textContent = arrow;
-        activeTh.appendChild(span);
-        activeTh.classList.add('text-primary');
+            const index = sorts.findIndex(s => s.column === th.dataset.sort);
+            // Screen readers expect a single sorted header: the primary key
+            th.setAttribute('aria-sort', index === 0 ? (sorts[0].direction === 'asc' ? 'ascending' : 'descending') : 'none');
+            if (index === -1) return;
+
+            // Simple text arrow for now, can be SVG
+            const span = document.createElement('span');
+            span.className = 'sort-icon ml-1';
+            span.setAttribute('aria-hidden', 'true');
+            span.textContent = sorts[index].direction === 'asc' ? '↑' : '↓';
+            th.appendChild(span);
+
+            // Numbered priority badge when sorting by several columns
+            if (showPriority) {
+                const badge = document.createElement('span');
+                badge.className = 'sort-priority badge badge-xs badge-primary ml-1';
+                badge.textContent = index + 1;
+                th.appendChild(badge);
+            }
+
+            th.classList.add('text-primary');
+        });
     }
 }
 export default DSTableSort;
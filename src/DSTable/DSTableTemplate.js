@@ -0,0 +1,282 @@
+/**
+ * DSTableTemplate
+ *
+ * Small logic-light template language for row / card templates.
+ *
+ *   {{ name }}                  Escaped output (dot paths allowed: {{ user.name }})
+ *   {{{ html }}}                Raw output - trusted content only
+ *   {{ created_at | date }}     Filters, chainable, with literal args: {{ title | truncate:30 }}
+ *   {{#if active}}..{{else}}..{{/if}}
+ *   {{#each tags}}{{ this }}{{#if @last}}{{else}}, {{/if}}{{/each}}
+ *
+ * Inside `#each`, fields resolve against the current item first, then the enclosing data;
+ * `this`, `@index`, `@first` and `@last` refer to the current item.
+ */
+export class DSTableTemplate {
+    /**
+     * Built-in filters: (value, ...args) => any. `this.locale` holds the configured locale.
+     * Add your own with `DSTableTemplate.filters.myFilter = (value) => ...`
+     */
+    static filters = {
+        upper(value) {
+            return DSTableTemplate._isEmpty(value) ? '' : String(value).toUpperCase();
+        },
+        lower(value) {
+            return DSTableTemplate._isEmpty(value) ? '' : String(value).toLowerCase();
+        },
+        capitalize(value) {
+            if (DSTableTemplate._isEmpty(value)) return '';
+            const text = String(value);
+            return text.charAt(0).toUpperCase() + text.slice(1);
+        },
+        default(value, fallback = '') {
+            return DSTableTemplate._isEmpty(value) ? fallback : value;
+        },
+        truncate(value, length = 50, suffix = '…') {
+            if (DSTableTemplate._isEmpty(value)) return '';
+            const text = String(value);
+            return text.length > length ? text.slice(0, length) + suffix : text;
+        },
+        number(value, decimals) {
+            if (DSTableTemplate._isEmpty(value) || isNaN(Number(value))) return value ?? '';
+            const options = decimals === undefined ? {} : { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+            return new Intl.NumberFormat(this.locale, options).format(Number(value));
+        },
+        currency(value, currency = 'USD') {
+            if (DSTableTemplate._isEmpty(value) || isNaN(Number(value))) return value ?? '';
+            return new Intl.NumberFormat(this.locale, { style: 'currency', currency }).format(Number(value));
+        },
+        date(value, style = 'medium') {
+            const date = DSTableTemplate._toDate(value);
+            return date ? new Intl.DateTimeFormat(this.locale, { dateStyle: style }).format(date) : (value ?? '');
+        },
+        datetime(value, style = 'medium') {
+            const date = DSTableTemplate._toDate(value);
+            return date ? new Intl.DateTimeFormat(this.locale, { dateStyle: style, timeStyle: 'short' }).format(date) : (value ?? '');
+        },
+        json(value) {
+            return JSON.stringify(value ?? null);
+        }
+    };
+
+    /** Compiled templates, keyed by source */
+    static _cache = new Map();
+
+    /**
+     * Render a template
+     * @param {string} template
+     * @param {Object} data
+     * @param {Object} [options]
+     * @param {Object} [options.filters] - Extra filters for this call
+     * @param {string} [options.locale] - Locale for number / date filters
+     * @returns {string}
+     */
+    static render(template, data, options = {}) {
+        const nodes = DSTableTemplate.compile(template);
+        const context = {
+            filters: { ...DSTableTemplate.filters, ...(options.filters || {}) },
+            locale: options.locale || undefined
+        };
+        return DSTableTemplate._renderNodes(nodes, [{ data, vars: {} }], context);
+    }
+
+    /**
+     * Escape a value for use in HTML text or attributes
+     * @param {*} value
+     * @returns {string}
+     */
+    static escape(value) {
+        if (value === null || value === undefined) return '';
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // ================= PARSING =================
+
+    /**
+     * Parse a template into a node tree (cached)
+     * @param {string} template
+     * @returns {Array<Object>}
+     */
+    static compile(template) {
+        const source = String(template ?? '');
+        if (DSTableTemplate._cache.has(source)) return DSTableTemplate._cache.get(source);
+
+        const root = { type: 'root', children: [] };
+        const stack = [root];
+        const current = () => {
+            const block = stack[stack.length - 1];
+            return block.type === 'if' && block.inElse ? block.otherwise : block.children;
+        };
+
+        const pattern = /\{\{\{\s*([\s\S]+?)\s*\}\}\}|\{\{\s*([\s\S]+?)\s*\}\}/g;
+        let lastIndex = 0;
+        let match;
+
+        while ((match = pattern.exec(source)) !== null) {
+            if (match.index > lastIndex) {
+                current().push({ type: 'text', value: source.slice(lastIndex, match.index) });
+            }
+            lastIndex = pattern.lastIndex;
+
+            if (match[1] !== undefined) {
+                current().push({ type: 'output', raw: true, ...DSTableTemplate._parseExpression(match[1]) });
+                continue;
+            }
+
+            const tag = match[2];
+            if (tag.startsWith('#if ') || tag.startsWith('#each ')) {
+                const [keyword, ...rest] = tag.slice(1).split(/\s+/);
+                const node = keyword === 'if'
+                    ? { type: 'if', children: [], otherwise: [], inElse: false, ...DSTableTemplate._parseExpression(rest.join(' ')) }
+                    : { type: 'each', children: [], ...DSTableTemplate._parseExpression(rest.join(' ')) };
+                current().push(node);
+                stack.push(node);
+            } else if (tag === 'else') {
+                const block = stack[stack.length - 1];
+                if (block.type !== 'if') throw new Error('DSTableTemplate: {{else}} outside of {{#if}}');
+                block.inElse = true;
+            } else if (tag === '/if' || tag === '/each') {
+                const block = stack.pop();
+                if (!block || block.type !== tag.slice(1)) {
+                    throw new Error(`DSTableTemplate: Unexpected {{${tag}}}`);
+                }
+            } else {
+                current().push({ type: 'output', raw: false, ...DSTableTemplate._parseExpression(tag) });
+            }
+        }
+
+        if (lastIndex < source.length) {
+            current().push({ type: 'text', value: source.slice(lastIndex) });
+        }
+        if (stack.length > 1) {
+            throw new Error(`DSTableTemplate: Unclosed {{#${stack[stack.length - 1].type}}}`);
+        }
+
+        DSTableTemplate._cache.set(source, root.children);
+        return root.children;
+    }
+
+    /**
+     * "path | filter:arg1:'arg 2' | other" -> { path, filters: [{ name, args }] }
+     */
+    static _parseExpression(expression) {
+        const [path, ...filters] = DSTableTemplate._splitOutsideQuotes(expression, '|');
+        return {
+            path: path.trim(),
+            filters: filters.map(filter => {
+                const [name, ...args] = DSTableTemplate._splitOutsideQuotes(filter, ':');
+                return { name: name.trim(), args: args.map(arg => DSTableTemplate._parseLiteral(arg.trim())) };
+            })
+        };
+    }
+
+    static _splitOutsideQuotes(text, separator) {
+        const parts = [];
+        let buffer = '';
+        let quote = null;
+
+        for (const char of text) {
+            if (quote) {
+                if (char === quote) quote = null;
+                buffer += char;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+                buffer += char;
+            } else if (char === separator) {
+                parts.push(buffer);
+                buffer = '';
+            } else {
+                buffer += char;
+            }
+        }
+        parts.push(buffer);
+        return parts;
+    }
+
+    static _parseLiteral(arg) {
+        if (/^(['"]).*\1$/.test(arg)) return arg.slice(1, -1);
+        if (arg !== '' && !isNaN(Number(arg))) return Number(arg);
+        if (arg === 'true' || arg === 'false') return arg === 'true';
+        if (arg === 'null') return null;
+        return arg;
+    }
+
+    // ================= RENDERING =================
+
+    static _renderNodes(nodes, scopes, context) {
+        let output = '';
+
+        nodes.forEach(node => {
+            if (node.type === 'text') {
+                output += node.value;
+            } else if (node.type === 'output') {
+                const value = DSTableTemplate._evaluate(node, scopes, context);
+                output += node.raw ? (value ?? '') : DSTableTemplate.escape(value);
+            } else if (node.type === 'if') {
+                const value = DSTableTemplate._evaluate(node, scopes, context);
+                const truthy = Array.isArray(value) ? value.length > 0 : !!value;
+                output += DSTableTemplate._renderNodes(truthy ? node.children : node.otherwise, scopes, context);
+            } else if (node.type === 'each') {
+                const value = DSTableTemplate._evaluate(node, scopes, context);
+                const items = Array.isArray(value) ? value : (value && typeof value === 'object' ? Object.values(value) : []);
+                items.forEach((item, index) => {
+                    const frame = { data: item, vars: { index, first: index === 0, last: index === items.length - 1 } };
+                    output += DSTableTemplate._renderNodes(node.children, [frame, ...scopes], context);
+                });
+            }
+        });
+
+        return output;
+    }
+
+    static _evaluate(node, scopes, context) {
+        let value = DSTableTemplate._resolve(node.path, scopes);
+
+        node.filters.forEach(({ name, args }) => {
+            const filter = context.filters[name];
+            if (typeof filter !== 'function') {
+                console.warn(`DSTableTemplate: Unknown filter "${name}"`);
+                return;
+            }
+            value = filter.call(context, value, ...args);
+        });
+
+        return value;
+    }
+
+    /**
+     * Resolve `this`, `@index`, literals and dot paths against the scope chain (innermost first)
+     */
+    static _resolve(path, scopes) {
+        if (/^(['"]).*\1$/.test(path)) return path.slice(1, -1);
+
+        if (path.startsWith('@')) return scopes[0].vars[path.slice(1)];
+        if (path === 'this' || path === '.') return scopes[0].data;
+
+        const segments = path.replace(/^this\./, '').split('.');
+        const explicitThis = path.startsWith('this.');
+        const [head, ...rest] = segments;
+
+        const scope = explicitThis
+            ? scopes[0]
+            : scopes.find(s => s.data !== null && typeof s.data === 'object' && head in s.data) || scopes[scopes.length - 1];
+
+        return rest.reduce((obj, key) => (obj === null || obj === undefined ? undefined : obj[key]), scope.data?.[head]);
+    }
+
+    static _isEmpty(value) {
+        return value === null || value === undefined || value === '';
+    }
+
+    static _toDate(value) {
+        if (DSTableTemplate._isEmpty(value)) return null;
+        const date = value instanceof Date ? value : new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+    }
+}
+export default DSTableTemplate;
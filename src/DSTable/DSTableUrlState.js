@@ -0,0 +1,117 @@
+import DSTableQuery from './DSTableQuery.js';
+
+/**
+ * DSTableUrlState
+ *
+ * Keeps DSTable params in the page URL so reloads and shared links restore the same view.
+ * Reads the initial params from `location.search`, writes every change back with
+ * `history.replaceState` / `pushState`, and reloads the table on back/forward navigation.
+ */
+export class DSTableUrlState {
+    constructor(tableInstance) {
+        this.table = tableInstance;
+        this.table.registerModule('urlState', this);
+
+        this.mode = this.table.config.url_sync_mode === 'push' ? 'push' : 'replace';
+        this.prefix = this.table.config.url_sync_prefix || '';
+
+        // Params as configured (including filter defaults); only values that differ are written to the URL
+        this.defaults = this._clone(this.table.params);
+
+        this._restoring = false;
+        this._initialized = false;
+
+        this._init();
+    }
+
+    _init() {
+        this._applyParams(this._readUrl());
+        this.table.syncControls();
+
+        this._onPopState = () => {
+            this._restoring = true;
+            this.table.params = { ...this._clone(this.defaults) };
+            this._applyParams(this._readUrl());
+            this.table.syncControls();
+            this.table.loadData();
+            this._restoring = false;
+        };
+        window.addEventListener('popstate', this._onPopState);
+    }
+
+    onBeforeLoad(params) {
+        if (this._restoring) return;
+        this._writeUrl(params);
+    }
+
+    // ================= URL =================
+
+    _readUrl() {
+        return DSTableQuery.parse(window.location.search, this.prefix);
+    }
+
+    _applyParams(parsed) {
+        Object.entries(parsed).forEach(([key, value]) => {
+            if (key === 'page' || key === 'per_page') {
+                const number = parseInt(value);
+                if (!isNaN(number)) this.table.params[key] = number;
+            } else {
+                this.table.params[key] = value;
+            }
+        });
+    }
+
+    _writeUrl(params) {
+        const search = new URLSearchParams(window.location.search);
+
+        // Drop every key this table owns, keep unrelated query params untouched
+        const owned = new Set([...Object.keys(this.defaults), ...Object.keys(params)].map(key => `${this.prefix}${key}`));
+        Array.from(search.keys()).forEach(key => {
+            if (owned.has(key.split('[')[0])) search.delete(key);
+        });
+
+        DSTableQuery.toPairs(this._diff(params), this.prefix).forEach(([key, value]) => search.append(key, value));
+
+        const query = search.toString();
+        const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+        if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+            this._initialized = true;
+            return;
+        }
+
+        // The first write never adds a history entry
+        if (this.mode === 'push' && this._initialized) {
+            window.history.pushState(window.history.state, '', url);
+        } else {
+            window.history.replaceState(window.history.state, '', url);
+        }
+        this._initialized = true;
+    }
+
+    /**
+     * Params that differ from their configured defaults
+     */
+    _diff(params) {
+        const changed = {};
+        Object.entries(params).forEach(([key, value]) => {
+            if (JSON.stringify(value) !== JSON.stringify(this.defaults[key])) {
+                changed[key] = value;
+            }
+        });
+        return changed;
+    }
+
+    _clone(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    // ================= PUBLIC API =================
+
+    /**
+     * Stop syncing and remove the popstate listener
+     */
+    destroy() {
+        window.removeEventListener('popstate', this._onPopState);
+    }
+}
+export default DSTableUrlState;
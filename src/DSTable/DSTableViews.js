@@ -0,0 +1,471 @@
+import DSTableHttp from './DSTableHttp.js';
+import DSTableTemplate from './DSTableTemplate.js';
+
+/**
+ * DSTableViews
+ *
+ * Named saved views ("My overdue invoices"). A view stores the table params (search, sorts, filters,
+ * filter builder clauses, per_page; not the page) together with the hidden columns and the column layout,
+ * and is switched from a dropdown above the table. One view can be the default, applied on load.
+ * The dropdown marks the current view as modified as soon as the state drifts from what was saved.
+ *
+ * Views are kept by a storage adapter: localStorage by default, a REST endpoint (`views_url`) or any object
+ * with `list()`, `create(view)`, `update(view)` and `delete(view)` methods (`views_adapter`), returning values or promises.
+ */
+export class DSTableViews {
+    static translations = {
+        button: 'Views',
+        no_views: 'No saved views',
+        modified: 'Modified',
+        name: 'Name this view',
+        save: 'Save',
+        update: 'Save changes to "{name}"',
+        delete: 'Delete',
+        set_default: 'Use as default',
+        unset_default: 'Remove as default',
+        default: 'Default'
+    };
+
+    // Position params: a view always opens on the first page
+    static ignoredParams = ['page', 'cursor'];
+
+    constructor(tableInstance) {
+        this.table = tableInstance;
+        this.table.registerModule('views', this);
+
+        const config = this.table.config;
+        this.storageType = config.views_storage ?? 'localStorage'; // 'localStorage' or 'sessionStorage'
+        this.storageKey = config.views_storage_key ?? `dstable_views_${this._getTableIdentifier()}`;
+        this.translations = { ...DSTableViews.translations, ...(config.views_translations || {}) };
+        this.adapter = config.views_adapter || (config.views_url ? this._restAdapter(config.views_url) : this._storageAdapter());
+
+        // Params as configured: applying a view starts from these, so values the view doesn't set are cleared
+        this.baseParams = this._clone(this.table.params);
+
+        this.views = [];
+        // Applied (or last saved) view and whether the state has drifted from it
+        this.current = null;
+        this.modified = false;
+        this.container = null;
+
+        this._init();
+    }
+
+    _getTableIdentifier() {
+        return this.table.wrapper.id ||
+            this.table.config.ajax_url ||
+            window.location.pathname.replace(/\//g, '_');
+    }
+
+    _init() {
+        this.container = this.table.wrapper.querySelector('.ds-table-views');
+        if (!this.container) {
+            this.container = document.createElement('div');
+            this.container.className = 'ds-table-views mb-2';
+            this.table._insertAboveTable(this.container);
+        }
+
+        this.container.addEventListener('click', (e) => this._onClick(e));
+        this.container.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && e.target.matches('input[data-view-name]')) {
+                e.preventDefault();
+                this.saveView(e.target.value);
+            }
+        });
+
+        this.table.on('columnVisibilityChange', () => this._checkModified());
+        this.table.on('layoutChange', () => this._checkModified());
+
+        this._render();
+        this._loadViews();
+    }
+
+    /**
+     * Every load reflects a state change (search, sort, filters, page size)
+     */
+    onBeforeLoad() {
+        this._checkModified();
+    }
+
+    // ================= STORAGE =================
+
+    _storageAdapter() {
+        const read = () => {
+            const storage = this.storageType === 'sessionStorage' ? sessionStorage : localStorage;
+            const saved = JSON.parse(storage.getItem(this.storageKey) || '[]');
+            return Array.isArray(saved) ? saved : [];
+        };
+        const write = (views) => {
+            const storage = this.storageType === 'sessionStorage' ? sessionStorage : localStorage;
+            storage.setItem(this.storageKey, JSON.stringify(views));
+        };
+
+        return {
+            list: () => read(),
+            create: (view) => {
+                const created = { ...view, id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}` };
+                write([...read(), created]);
+                return created;
+            },
+            update: (view) => {
+                write(read().map(saved => (saved.id === view.id ? view : saved)));
+                return view;
+            },
+            delete: (view) => {
+                write(read().filter(saved => saved.id !== view.id));
+            }
+        };
+    }
+
+    /**
+     * GET {url} lists the views, POST {url} creates one, PUT / DELETE {url}/{id} update / delete it
+     */
+    _restAdapter(url) {
+        const base = url.replace(/\/$/, '');
+        const itemUrl = (view) => `${base}/${encodeURIComponent(view.id ?? view.name)}`;
+        const send = async (method, target, payload) => {
+            const { ok, data } = await DSTableHttp.request(this.table, method, target, payload);
+            if (!ok) throw new Error(`Request failed: ${method} ${target}`);
+            return data?.data ?? data;
+        };
+
+        return {
+            list: async () => {
+                const data = await send('GET', base);
+                return Array.isArray(data) ? data : [];
+            },
+            create: async (view) => ({ ...view, ...((await send('POST', base, view)) || {}) }),
+            update: async (view) => ({ ...view, ...((await send('PUT', itemUrl(view), view)) || {}) }),
+            delete: (view) => send('DELETE', itemUrl(view))
+        };
+    }
+
+    /**
+     * Load the list. A synchronous adapter (localStorage) is read before the first request, so the default view
+     * needs no second load; an asynchronous one applies it when it arrives, unless the user already changed the table.
+     */
+    _loadViews() {
+        const untouched = this._stateKey(this.getState());
+        const done = (list) => {
+            this.views = (Array.isArray(list) ? list : []).filter(view => view && view.name);
+            const preferred = this.views.find(view => view.is_default);
+            if (preferred && !this.current && this._stateKey(this.getState()) === untouched) {
+                this.applyView(preferred.name, { reload: !sync });
+            }
+            this._viewsChanged();
+        };
+        const failed = (e) => {
+            console.warn('DSTableViews: Failed to load views', e);
+            this.views = [];
+            this._render();
+        };
+
+        let sync = true;
+        try {
+            const result = this.adapter.list();
+            if (result && typeof result.then === 'function') {
+                sync = false;
+                result.then(done, failed);
+            } else {
+                done(result);
+            }
+        } catch (e) {
+            failed(e);
+        }
+    }
+
+    // ================= STATE =================
+
+    _clone(value) {
+        return JSON.parse(JSON.stringify(value ?? null));
+    }
+
+    /**
+     * Comparable form of a state: empty values dropped and object keys sorted,
+     * so `{ search: '' }` matches a view saved without a search
+     */
+    _stateKey(state) {
+        const normalize = (value) => {
+            if (Array.isArray(value)) return value.map(normalize);
+            if (value && typeof value === 'object') {
+                const result = {};
+                Object.keys(value).sort().forEach(key => {
+                    const item = normalize(value[key]);
+                    const empty = item === null || item === undefined || item === '' ||
+                        (Array.isArray(item) && !item.length) ||
+                        (typeof item === 'object' && !Array.isArray(item) && !Object.keys(item).length);
+                    if (!empty) result[key] = item;
+                });
+                return result;
+            }
+            return value;
+        };
+        return JSON.stringify(normalize(state));
+    }
+
+    _checkModified() {
+        const modified = !!this.current && this._stateKey(this.getState()) !== this._stateKey(this.current.state);
+        if (modified === this.modified) return;
+
+        this.modified = modified;
+        this._render();
+        this.table._emit('viewModified', { view: this._clone(this.current), modified });
+    }
+
+    _findView(name) {
+        return this.views.find(view => view.name === name) || null;
+    }
+
+    // ================= RENDERING =================
+
+    _render() {
+        const escape = DSTableTemplate.escape;
+        const t = this.translations;
+        const current = this.current;
+
+        const items = this.views.length
+            ? this.views.map(view => `
+                <li>
+                    <div class="flex items-center justify-between gap-2 ${current?.name === view.name ? 'menu-active' : ''}">
+                        <button type="button" class="flex-1 text-left" data-view="${escape(view.name)}">
+                            ${escape(view.name)}
+                            ${view.is_default ? `<span class="badge badge-xs badge-ghost ml-1">${escape(t.default)}</span>` : ''}
+                        </button>
+                        <button type="button" class="btn btn-ghost btn-xs btn-square" data-view-default="${escape(view.name)}" aria-label="${escape(view.is_default ? t.unset_default : t.set_default)}" title="${escape(view.is_default ? t.unset_default : t.set_default)}">
+                            ${this.table._renderIcon('star', `text-base ${view.is_default ? 'text-warning' : ''}`)}
+                        </button>
+                        <button type="button" class="btn btn-ghost btn-xs btn-square" data-view-delete="${escape(view.name)}" aria-label="${escape(t.delete)}" title="${escape(t.delete)}">
+                            ${this.table._renderIcon('delete', 'text-base')}
+                        </button>
+                    </div>
+                </li>`).join('')
+            : `<li class="menu-disabled"><span>${escape(t.no_views)}</span></li>`;
+
+        const update = current && this.modified
+            ? `<button type="button" class="btn btn-sm btn-ghost w-full justify-start" data-view-update>${escape(t.update.replace('{name}', current.name))}</button>`
+            : '';
+
+        this.container.innerHTML = `
+            <div class="dropdown">
+                <div tabindex="0" role="button" class="btn btn-sm btn-ghost gap-1">
+                    ${this.table._renderIcon('bookmarks', 'text-lg')}${escape(current ? current.name : t.button)}
+                    ${this.modified ? `<span class="badge badge-sm badge-warning" data-view-modified>${escape(t.modified)}</span>` : ''}
+                </div>
+                <div tabindex="0" class="dropdown-content z-10 w-72 rounded-box border border-base-200 bg-base-100 p-2 shadow-sm">
+                    <ul class="menu w-full p-0">${items}</ul>
+                    <div class="mt-2 flex flex-col gap-2 border-t border-base-200 pt-2">
+                        ${update}
+                        <div class="join w-full">
+                            <input type="text" class="input input-sm join-item flex-1" data-view-name placeholder="${escape(t.name)}">
+                            <button type="button" class="btn btn-sm join-item" data-view-save>${escape(t.save)}</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    _onClick(e) {
+        const target = e.target.closest('button');
+        if (!target || !this.container.contains(target)) return;
+
+        if (target.hasAttribute('data-view-save')) {
+            this.saveView(this.container.querySelector('[data-view-name]').value);
+        } else if (target.hasAttribute('data-view-update')) {
+            this.updateView();
+        } else if (target.dataset.view !== undefined) {
+            this.applyView(target.dataset.view);
+        } else if (target.dataset.viewDefault !== undefined) {
+            const view = this._findView(target.dataset.viewDefault);
+            this.setDefault(view?.is_default ? null : target.dataset.viewDefault);
+        } else if (target.dataset.viewDelete !== undefined) {
+            this.deleteView(target.dataset.viewDelete);
+        } else {
+            return;
+        }
+        e.preventDefault();
+    }
+
+    _viewsChanged() {
+        this._render();
+        this.table._emit('viewsChange', { views: this.getViews() });
+    }
+
+    // ================= PUBLIC API =================
+
+    /**
+     * Current state as stored in a view
+     * @returns {{params: Object, hidden?: string[], layout?: {order: string[], widths: Object<string, number>}}}
+     */
+    getState() {
+        const params = this._clone(this.table.params);
+        DSTableViews.ignoredParams.forEach(key => delete params[key]);
+
+        const state = { params };
+        const modules = this.table.modules;
+        if (modules.columnVisibility) state.hidden = modules.columnVisibility.getHidden();
+        if (modules.columnLayout) state.layout = modules.columnLayout.getLayout();
+        return state;
+    }
+
+    /**
+     * Restore a state from getState()
+     * @param {Object} state
+     * @param {boolean} [reload=true]
+     */
+    setState(state, reload = true) {
+        const modules = this.table.modules;
+
+        this.table.params = { ...this._clone(this.baseParams), ...this._clone(state?.params || {}), page: 1 };
+        if (modules.columnLayout && state?.layout) modules.columnLayout.setLayout(state.layout);
+        if (modules.columnVisibility && Array.isArray(state?.hidden)) modules.columnVisibility.setHidden(state.hidden);
+
+        this.table.syncControls();
+        if (reload) this.table.loadData();
+    }
+
+    /**
+     * Saved views: [{ id, name, is_default, state }]
+     * @returns {Object[]}
+     */
+    getViews() {
+        return this._clone(this.views);
+    }
+
+    /**
+     * The applied view, or null
+     * @returns {Object|null}
+     */
+    getCurrent() {
+        return this._clone(this.current);
+    }
+
+    /**
+     * Whether the table state differs from the applied view
+     * @returns {boolean}
+     */
+    isModified() {
+        return this.modified;
+    }
+
+    /**
+     * Switch to a saved view
+     * @param {string} name
+     * @param {Object} [options]
+     * @param {boolean} [options.reload=true]
+     */
+    applyView(name, options = {}) {
+        const view = this._findView(name);
+        if (!view) return;
+
+        this.current = view;
+        this.modified = false;
+        this.setState(view.state, options.reload ?? true);
+        this._checkModified();
+        this._render();
+        this.table._emit('viewApplied', { view: this._clone(view) });
+    }
+
+    /**
+     * Save the current state as a view (an existing view with that name is overwritten)
+     * @param {string} name
+     * @param {Object} [options]
+     * @param {boolean} [options.default] - Make it the default view
+     * @returns {Promise<Object|null>} The saved view
+     */
+    async saveView(name, options = {}) {
+        name = String(name ?? '').trim();
+        if (!name) return null;
+
+        const existing = this._findView(name);
+        const payload = { ...(existing || {}), name, is_default: options.default ?? existing?.is_default ?? false, state: this.getState() };
+        let view = null;
+
+        try {
+            view = await (existing ? this.adapter.update(payload) : this.adapter.create(payload));
+            this.views = existing ? this.views.map(saved => (saved === existing ? view : saved)) : [...this.views, view];
+            this.current = view;
+            this.modified = false;
+            if (view.is_default) await this._clearDefaults(view);
+        } catch (e) {
+            console.warn('DSTableViews: Failed to save view', e);
+        }
+
+        // Also after a failure, as the list may already hold the saved view
+        this._viewsChanged();
+        return view ? this._clone(view) : null;
+    }
+
+    /**
+     * Overwrite the applied view with the current state
+     * @returns {Promise<Object|null>}
+     */
+    updateView() {
+        if (!this.current) return Promise.resolve(null);
+        return this.saveView(this.current.name);
+    }
+
+    /**
+     * Delete a saved view
+     * @param {string} name
+     */
+    async deleteView(name) {
+        const view = this._findView(name);
+        if (!view) return;
+
+        try {
+            await this.adapter.delete(view);
+        } catch (e) {
+            console.warn('DSTableViews: Failed to delete view', e);
+            return;
+        }
+
+        this.views = this.views.filter(saved => saved !== view);
+        if (this.current === view) {
+            this.current = null;
+            this.modified = false;
+        }
+        this._viewsChanged();
+    }
+
+    /**
+     * Make a view the default (applied when the table loads), or clear the default with null
+     * @param {string|null} name
+     */
+    async setDefault(name) {
+        const view = name === null ? null : this._findView(name);
+        if (name !== null && !view) return;
+
+        try {
+            if (view && !view.is_default) {
+                const updated = await this.adapter.update({ ...view, is_default: true });
+                this.views = this.views.map(saved => (saved === view ? updated : saved));
+                if (this.current === view) this.current = updated;
+            }
+            await this._clearDefaults(view ? this._findView(name) : null);
+        } catch (e) {
+            console.warn('DSTableViews: Failed to update the default view', e);
+        }
+
+        this._viewsChanged();
+    }
+
+    /**
+     * Only one view is the default: unset it on every view other than `keep`
+     */
+    async _clearDefaults(keep) {
+        for (const view of this.views.filter(saved => saved.is_default && saved !== keep)) {
+            const updated = await this.adapter.update({ ...view, is_default: false });
+            this.views = this.views.map(saved => (saved === view ? updated : saved));
+            if (this.current === view) this.current = updated;
+        }
+    }
+
+    /**
+     * Buttons back in line with the current state (e.g. after URL state restore)
+     */
+    syncUI() {
+        this._checkModified();
+    }
+}
+export default DSTableViews;
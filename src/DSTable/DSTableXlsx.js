@@ -0,0 +1,191 @@
+/**
+ * DSTableXlsx
+ *
+ * Minimal dependency-free .xlsx writer used by DSTableExport.
+ * Produces a single-sheet workbook (inline strings, numeric cells, bold header row)
+ * packed into an uncompressed ZIP container.
+ */
+export class DSTableXlsx {
+    /**
+     * @param {string[]} headers - Header labels (first row, bold)
+     * @param {Array<Array<*>>} rows - Cell values
+     * @param {Object} [options]
+     * @param {string} [options.sheetName] - Worksheet name
+     * @returns {Blob}
+     */
+    static build(headers, rows, options = {}) {
+        const sheetName = DSTableXlsx._escape(String(options.sheetName || 'Sheet1').slice(0, 31));
+
+        const files = {
+            '[Content_Types].xml':
+                '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                '</Types>',
+            '_rels/.rels':
+                '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>',
+            'xl/workbook.xml':
+                '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                `<sheets><sheet name="${sheetName}" sheetId="1" r:id="rId1"/></sheets>` +
+                '</workbook>',
+            'xl/_rels/workbook.xml.rels':
+                '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+                '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+                '</Relationships>',
+            'xl/styles.xml':
+                '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+                '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+                '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+                '</styleSheet>',
+            'xl/worksheets/sheet1.xml': DSTableXlsx._buildSheet(headers, rows)
+        };
+
+        return new Blob([DSTableXlsx._zip(files)], {
+            type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        });
+    }
+
+    static _buildSheet(headers, rows) {
+        const parts = [
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>'
+        ];
+
+        parts.push(DSTableXlsx._buildRow(headers, 1, true));
+        rows.forEach((row, i) => parts.push(DSTableXlsx._buildRow(row, i + 2, false)));
+
+        parts.push('</sheetData></worksheet>');
+        return parts.join('');
+    }
+
+    static _buildRow(values, rowNumber, bold) {
+        const style = bold ? ' s="1"' : '';
+        const cells = values.map((value, col) => {
+            const ref = `${DSTableXlsx._columnName(col)}${rowNumber}`;
+            if (value === null || value === undefined || value === '') return `<c r="${ref}"${style}/>`;
+            if (typeof value === 'number' && isFinite(value)) return `<c r="${ref}"${style}><v>${value}</v></c>`;
+            if (typeof value === 'boolean') return `<c r="${ref}" t="b"${style}><v>${value ? 1 : 0}</v></c>`;
+            return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${DSTableXlsx._escape(String(value))}</t></is></c>`;
+        });
+        return `<row r="${rowNumber}">${cells.join('')}</row>`;
+    }
+
+    /**
+     * 0 -> A, 25 -> Z, 26 -> AA
+     */
+    static _columnName(index) {
+        let name = '';
+        let n = index + 1;
+        while (n > 0) {
+            const rem = (n - 1) % 26;
+            name = String.fromCharCode(65 + rem) + name;
+            n = Math.floor((n - 1) / 26);
+        }
+        return name;
+    }
+
+    static _escape(value) {
+        return value
+            // Characters not allowed in XML 1.0
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // ================= ZIP (store, no compression) =================
+
+    // Entry modification date: 1980-01-01, the earliest valid DOS date (0 is not a date)
+    static dosDate = (1 << 5) | 1;
+
+    static _zip(files) {
+        const encoder = new TextEncoder();
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        Object.entries(files).forEach(([name, content]) => {
+            const nameBytes = encoder.encode(name);
+            const data = encoder.encode(content);
+            const crc = DSTableXlsx._crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true); // Local file header signature
+            local.setUint16(4, 20, true); // Version needed
+            local.setUint16(6, 0x0800, true); // UTF-8 names
+            local.setUint16(8, 0, true); // Stored
+            local.setUint16(12, DSTableXlsx.dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, nameBytes.length, true);
+            localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true); // Central directory signature
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(14, DSTableXlsx.dosDate, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, nameBytes.length, true);
+            central.setUint32(42, offset, true);
+            centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+            offset += 30 + nameBytes.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true); // End of central directory signature
+        end.setUint16(8, Object.keys(files).length, true);
+        end.setUint16(10, Object.keys(files).length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            output.set(part, position);
+            position += part.length;
+        });
+        return output;
+    }
+
+    static _crc32(bytes) {
+        if (!DSTableXlsx._crcTable) {
+            DSTableXlsx._crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                DSTableXlsx._crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = DSTableXlsx._crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+}
+export default DSTableXlsx;